@@ -0,0 +1,38 @@
+const { pool, testConnection } = require('./config/database');
+const { MOOD_SCALE, parseColorMoods, backfillCalendarMoods } = require('./services/moodService');
+
+const usage = `Usage: node backfill-moods.js [--replace]
+
+Copies calendar day moods into the mood log, rating each colour with
+MOOD_COLOR_MAP (e.g. "1:4,2:5,3:3,4:2,5:1"; the default is the mapping
+migration 019 used). Days already copied are skipped.
+
+Options:
+  --replace      First remove copies made earlier that users haven't edited,
+                 so they are made again with the current mapping`;
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.some(arg => arg !== '--replace')) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const colorMoods = parseColorMoods(process.env.MOOD_COLOR_MAP);
+  Object.entries(colorMoods).forEach(([color, mood]) => {
+    console.log(`Colour ${color} -> mood ${mood} (${MOOD_SCALE.find(level => level.mood === mood).label})`);
+  });
+
+  await testConnection();
+  const { removed, added } = await backfillCalendarMoods(colorMoods, { replace: args.includes('--replace') });
+  console.log(`Removed ${removed} earlier copies, added ${added} mood entries`);
+}
+
+main()
+  .catch(error => {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -104,6 +104,50 @@ const query = (sql, params = []) => {
   });
 };
 
+// Helper function to run several queries in one transaction.
+// `work` receives a query function bound to the transaction's connection;
+// the transaction is committed if it resolves and rolled back if it throws.
+const transaction = async (work) => {
+  const connection = await getConnection();
+  
+  const connectionQuery = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      connection.query(sql, params, (error, results) => {
+        if (error) {
+          console.error('Error executing transaction query:', {
+            sql,
+            error: error.message,
+            code: error.code
+          });
+          reject(error);
+          return;
+        }
+        resolve(results);
+      });
+    });
+  };
+  
+  const run = (method) => {
+    return new Promise((resolve, reject) => {
+      connection[method]((error) => (error ? reject(error) : resolve()));
+    });
+  };
+  
+  try {
+    await run('beginTransaction');
+    const result = await work(connectionQuery);
+    await run('commit');
+    return result;
+  } catch (error) {
+    await run('rollback').catch(rollbackError => {
+      console.error('Error rolling back transaction:', rollbackError);
+    });
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 // Test connection on module load
 testConnection()
   .then(() => console.log('Initial database connection test successful'))
@@ -113,5 +157,6 @@ module.exports = {
   pool,
   getConnection,
   query,
+  transaction,
   testConnection
 }; 
\ No newline at end of file
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool, query, testConnection } = require('./config/database');
+
+// Migrations live in migrations/ as NNN_name.up.sql with a matching NNN_name.down.sql
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const usage = `Usage: node migrate.js <command>
+
+Commands:
+  up [version]   Apply pending migrations (up to and including version, if given)
+  down [steps]   Revert the most recently applied migrations (default: 1)
+  status         List migrations and whether they are applied`;
+
+const checksum = (contents) => {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+};
+
+// Read every migration on disk, ordered by version
+const loadMigrations = () => {
+  const migrations = {};
+
+  for (const fileName of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = fileName.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    if (!migrations[version]) {
+      migrations[version] = { version, name };
+    }
+    migrations[version][direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, fileName), 'utf8');
+  }
+
+  return Object.values(migrations)
+    .map(migration => ({
+      ...migration,
+      checksum: migration.up !== undefined ? checksum(migration.up) : null
+    }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const ensureMigrationsTable = () => {
+  return query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const loadApplied = async () => {
+  const rows = await query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY applied_at, version');
+  const applied = {};
+  rows.forEach(row => {
+    applied[row.version] = row;
+  });
+  return applied;
+};
+
+// Refuse to run when an applied migration was edited or deleted afterwards
+const verifyChecksums = (migrations, applied) => {
+  const problems = [];
+
+  Object.values(applied).forEach(row => {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      problems.push(`${row.version}_${row.name}: applied but the file is missing`);
+    } else if (migration.checksum !== row.checksum) {
+      problems.push(`${row.version}_${row.name}: file changed after it was applied`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Checksum verification failed:\n  ${problems.join('\n  ')}`);
+  }
+};
+
+const migrateUp = async (targetVersion) => {
+  const migrations = loadMigrations();
+  const applied = await loadApplied();
+  verifyChecksums(migrations, applied);
+
+  const pending = migrations.filter(migration => {
+    if (applied[migration.version]) {
+      return false;
+    }
+    return !targetVersion || Number(migration.version) <= Number(targetVersion);
+  });
+
+  if (pending.length === 0) {
+    console.log('No pending migrations');
+    return;
+  }
+
+  for (const migration of pending) {
+    if (migration.up === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+
+    console.log(`Applying ${migration.version}_${migration.name}...`);
+    // MySQL commits DDL implicitly, so a failed migration may be partly applied
+    await query(migration.up);
+    await query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    console.log(`Applied ${migration.version}_${migration.name}`);
+  }
+};
+
+const migrateDown = async (steps) => {
+  const migrations = loadMigrations();
+  const applied = await loadApplied();
+  verifyChecksums(migrations, applied);
+
+  const toRevert = migrations
+    .filter(migration => applied[migration.version])
+    .reverse()
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('No applied migrations to revert');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    if (migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql file`);
+    }
+
+    console.log(`Reverting ${migration.version}_${migration.name}...`);
+    await query(migration.down);
+    await query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    console.log(`Reverted ${migration.version}_${migration.name}`);
+  }
+};
+
+const migrationStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await loadApplied();
+
+  migrations.forEach(migration => {
+    const row = applied[migration.version];
+    let status = 'pending';
+    if (row) {
+      status = row.checksum === migration.checksum
+        ? `applied ${new Date(row.applied_at).toISOString()}`
+        : 'applied (file changed since)';
+    }
+    console.log(`${migration.version}_${migration.name}`.padEnd(40) + status);
+  });
+
+  Object.values(applied)
+    .filter(row => !migrations.find(m => m.version === row.version))
+    .forEach(row => {
+      console.log(`${row.version}_${row.name}`.padEnd(40) + 'applied (file missing)');
+    });
+};
+
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(usage);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await testConnection();
+  await ensureMigrationsTable();
+
+  if (command === 'up') {
+    await migrateUp(argument);
+  } else if (command === 'down') {
+    const steps = argument ? parseInt(argument, 10) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('down expects a positive number of steps');
+    }
+    await migrateDown(steps);
+  } else {
+    await migrationStatus();
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,7 @@
+-- Drops every baseline table, and all data in them
+DROP TABLE IF EXISTS mind_tools_activity;
+DROP TABLE IF EXISTS calendar_2025_tasks;
+DROP TABLE IF EXISTS annual_calendar_tasks;
+DROP TABLE IF EXISTS weekly_planner_tasks;
+DROP TABLE IF EXISTS vision_board_tasks;
+DROP TABLE IF EXISTS user;
@@ -0,0 +1,84 @@
+-- Baseline schema
+-- Every table the server used before versioned migrations, as they exist in
+-- production. CREATE TABLE IF NOT EXISTS makes this a no-op on databases that
+-- were set up by hand.
+
+CREATE TABLE IF NOT EXISTS user (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NULL,
+  firebase_uid VARCHAR(255) NULL UNIQUE,
+  welcome_email_sent TINYINT(1) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS vision_board_tasks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(255),
+  user_name VARCHAR(255),
+  email VARCHAR(255),
+  card_id VARCHAR(255) NOT NULL,
+  tasks JSON NOT NULL,
+  theme VARCHAR(255) NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX user_id_index (user_id),
+  INDEX card_id_index (card_id),
+  INDEX theme_index (theme),
+  INDEX vision_board_user_card_idx (user_id, card_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS weekly_planner_tasks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_name VARCHAR(255),
+  email VARCHAR(255),
+  card_id VARCHAR(255) NOT NULL,
+  tasks JSON NOT NULL,
+  theme VARCHAR(255) NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_email (user_name, email),
+  INDEX idx_card (card_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS annual_calendar_tasks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_name VARCHAR(255),
+  email VARCHAR(255),
+  card_id VARCHAR(255) NOT NULL,
+  tasks JSON NOT NULL,
+  theme VARCHAR(255) NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_email (user_name, email),
+  INDEX idx_card (card_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS calendar_2025_tasks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  task_date DATE NOT NULL,
+  task_type INT NOT NULL,
+  task_description TEXT NOT NULL,
+  color_code VARCHAR(20) NOT NULL,
+  theme VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_email (user_name, email),
+  INDEX idx_task_date (task_date),
+  INDEX idx_theme (theme)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS mind_tools_activity (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_name VARCHAR(255),
+  email VARCHAR(255) NOT NULL,
+  tracker_type VARCHAR(50) NOT NULL,
+  activity_date DATE NOT NULL,
+  count INT NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email_tracker_date (email, tracker_type, activity_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,18 @@
+-- Refresh Tokens Table
+-- Only a SHA-256 hash of each refresh token is stored. Tokens issued by the
+-- same login share a family_id so a whole session can be revoked at once.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  user_agent VARCHAR(255),
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  replaced_by CHAR(64) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_token_hash (token_hash),
+  INDEX idx_family (family_id),
+  INDEX idx_user (user_id),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- One-Time Tokens Table
+-- Single-use tokens emailed to users (password reset and email verification
+-- links). Only a SHA-256 hash of each token is stored.
+CREATE TABLE IF NOT EXISTS one_time_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  purpose VARCHAR(50) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_token_hash (token_hash),
+  INDEX idx_user_purpose (user_id, purpose),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Email verification state on the user table
+ALTER TABLE user ADD COLUMN email_verified TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Accounts linked to Google sign-in have had their address confirmed by Google
+UPDATE user SET email_verified = 1 WHERE firebase_uid IS NOT NULL;
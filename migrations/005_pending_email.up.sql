@@ -0,0 +1,2 @@
+-- New email address waiting for confirmation from PATCH /auth/profile
+ALTER TABLE user ADD COLUMN pending_email VARCHAR(255) NULL;
@@ -0,0 +1,19 @@
+-- Export Jobs Table
+-- Background personal data exports. The finished archive is kept for the
+-- lifetime of the emailed download link; only a hash of the link token is stored.
+CREATE TABLE IF NOT EXISTS export_jobs (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  format VARCHAR(10) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  file_name VARCHAR(255),
+  content_type VARCHAR(100),
+  archive LONGBLOB,
+  download_token_hash CHAR(64),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL,
+  expires_at DATETIME NULL,
+  INDEX idx_user (user_id),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
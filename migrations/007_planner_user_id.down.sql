@@ -0,0 +1,17 @@
+-- Lookups go back to user_name + email; user_id values are discarded
+ALTER TABLE vision_board_tasks DROP FOREIGN KEY fk_vision_board_user;
+ALTER TABLE weekly_planner_tasks DROP FOREIGN KEY fk_weekly_planner_user;
+ALTER TABLE annual_calendar_tasks DROP FOREIGN KEY fk_annual_calendar_user;
+ALTER TABLE calendar_2025_tasks DROP FOREIGN KEY fk_calendar_2025_user;
+ALTER TABLE mind_tools_activity DROP FOREIGN KEY fk_mind_tools_user;
+
+DROP INDEX idx_weekly_planner_user_card ON weekly_planner_tasks;
+DROP INDEX idx_annual_calendar_user_card ON annual_calendar_tasks;
+DROP INDEX idx_calendar_2025_user_date ON calendar_2025_tasks;
+DROP INDEX idx_mind_tools_user_date ON mind_tools_activity;
+
+ALTER TABLE weekly_planner_tasks DROP COLUMN user_id;
+ALTER TABLE annual_calendar_tasks DROP COLUMN user_id;
+ALTER TABLE calendar_2025_tasks DROP COLUMN user_id;
+ALTER TABLE mind_tools_activity DROP COLUMN user_id;
+ALTER TABLE vision_board_tasks MODIFY user_id VARCHAR(255) NULL;
@@ -0,0 +1,39 @@
+-- Key planner tables by user id
+-- Planner rows used to be looked up by user_name + email, so renaming a user
+-- hid their data. Each table gets a user_id foreign key, backfilled from the
+-- user table by email (which is unique). user_name and email stay on the rows
+-- as denormalized display data only.
+
+-- vision_board_tasks already has a VARCHAR user_id that was never populated
+UPDATE vision_board_tasks SET user_id = NULL;
+ALTER TABLE vision_board_tasks MODIFY user_id INT NULL;
+
+ALTER TABLE weekly_planner_tasks ADD COLUMN user_id INT NULL AFTER id;
+ALTER TABLE annual_calendar_tasks ADD COLUMN user_id INT NULL AFTER id;
+ALTER TABLE calendar_2025_tasks ADD COLUMN user_id INT NULL AFTER id;
+ALTER TABLE mind_tools_activity ADD COLUMN user_id INT NULL AFTER id;
+
+-- Backfill from the user table
+UPDATE vision_board_tasks t JOIN user u ON u.email = t.email SET t.user_id = u.id;
+UPDATE weekly_planner_tasks t JOIN user u ON u.email = t.email SET t.user_id = u.id;
+UPDATE annual_calendar_tasks t JOIN user u ON u.email = t.email SET t.user_id = u.id;
+UPDATE calendar_2025_tasks t JOIN user u ON u.email = t.email SET t.user_id = u.id;
+UPDATE mind_tools_activity t JOIN user u ON u.email = t.email SET t.user_id = u.id;
+
+-- Foreign keys (rows are removed with their user)
+ALTER TABLE vision_board_tasks
+  ADD CONSTRAINT fk_vision_board_user FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE;
+ALTER TABLE weekly_planner_tasks
+  ADD CONSTRAINT fk_weekly_planner_user FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE;
+ALTER TABLE annual_calendar_tasks
+  ADD CONSTRAINT fk_annual_calendar_user FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE;
+ALTER TABLE calendar_2025_tasks
+  ADD CONSTRAINT fk_calendar_2025_user FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE;
+ALTER TABLE mind_tools_activity
+  ADD CONSTRAINT fk_mind_tools_user FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE;
+
+-- Lookups now go through user_id
+CREATE INDEX idx_weekly_planner_user_card ON weekly_planner_tasks (user_id, card_id, theme);
+CREATE INDEX idx_annual_calendar_user_card ON annual_calendar_tasks (user_id, card_id, theme);
+CREATE INDEX idx_calendar_2025_user_date ON calendar_2025_tasks (user_id, task_date, theme);
+CREATE INDEX idx_mind_tools_user_date ON mind_tools_activity (user_id, tracker_type, activity_date);
@@ -0,0 +1,3 @@
+ALTER TABLE vision_board_tasks DROP COLUMN version;
+ALTER TABLE weekly_planner_tasks DROP COLUMN version;
+ALTER TABLE annual_calendar_tasks DROP COLUMN version;
@@ -0,0 +1,4 @@
+-- Version counter for optimistic concurrency on card saves; bumped on every write
+ALTER TABLE vision_board_tasks ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE weekly_planner_tasks ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE annual_calendar_tasks ADD COLUMN version INT NOT NULL DEFAULT 1;
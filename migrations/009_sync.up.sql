@@ -0,0 +1,36 @@
+-- Sync Tables
+-- sync_changes is an append-only log of planner rows that were written or
+-- deleted; its id is the cursor clients pass to POST /api/sync.
+-- sync_client_changes remembers the result of every client change id so a
+-- retried sync request doesn't apply the same change twice.
+CREATE TABLE IF NOT EXISTS sync_changes (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id INT NOT NULL,
+  operation VARCHAR(10) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_cursor (user_id, id),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS sync_client_changes (
+  user_id INT NOT NULL,
+  change_id VARCHAR(64) NOT NULL,
+  result JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, change_id),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
+
+-- Existing rows are sent to clients that sync from cursor 0
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'vision_board', id, 'upsert' FROM vision_board_tasks WHERE user_id IS NOT NULL;
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'weekly_planner', id, 'upsert' FROM weekly_planner_tasks WHERE user_id IS NOT NULL;
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'annual_calendar', id, 'upsert' FROM annual_calendar_tasks WHERE user_id IS NOT NULL;
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'calendar_2025', id, 'upsert' FROM calendar_2025_tasks WHERE user_id IS NOT NULL;
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'mind_tools', id, 'upsert' FROM mind_tools_activity WHERE user_id IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Rows still in the trash are deleted for good
+DROP TABLE IF EXISTS deleted_card_tasks;
+
+DELETE FROM vision_board_tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM weekly_planner_tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM annual_calendar_tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM calendar_2025_tasks WHERE deleted_at IS NOT NULL;
+DELETE FROM mind_tools_activity WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE vision_board_tasks DROP INDEX idx_deleted_at, DROP COLUMN deleted_at;
+ALTER TABLE weekly_planner_tasks DROP INDEX idx_deleted_at, DROP COLUMN deleted_at;
+ALTER TABLE annual_calendar_tasks DROP INDEX idx_deleted_at, DROP COLUMN deleted_at;
+ALTER TABLE calendar_2025_tasks DROP INDEX idx_deleted_at, DROP COLUMN deleted_at;
+ALTER TABLE mind_tools_activity DROP INDEX idx_deleted_at, DROP COLUMN deleted_at;
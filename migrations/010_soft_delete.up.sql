@@ -0,0 +1,22 @@
+-- Soft Delete
+-- Deleted planner rows keep their data with deleted_at set until the trash
+-- is purged. Tasks removed from a card's `tasks` list are copied to
+-- deleted_card_tasks so they can be restored into the card.
+ALTER TABLE vision_board_tasks ADD COLUMN deleted_at DATETIME NULL, ADD INDEX idx_deleted_at (deleted_at);
+ALTER TABLE weekly_planner_tasks ADD COLUMN deleted_at DATETIME NULL, ADD INDEX idx_deleted_at (deleted_at);
+ALTER TABLE annual_calendar_tasks ADD COLUMN deleted_at DATETIME NULL, ADD INDEX idx_deleted_at (deleted_at);
+ALTER TABLE calendar_2025_tasks ADD COLUMN deleted_at DATETIME NULL, ADD INDEX idx_deleted_at (deleted_at);
+ALTER TABLE mind_tools_activity ADD COLUMN deleted_at DATETIME NULL, ADD INDEX idx_deleted_at (deleted_at);
+
+CREATE TABLE IF NOT EXISTS deleted_card_tasks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  card_row_id INT NOT NULL,
+  task JSON NOT NULL,
+  position INT NOT NULL,
+  deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_deleted (user_id, deleted_at),
+  INDEX idx_deleted_at (deleted_at),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
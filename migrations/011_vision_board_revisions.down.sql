@@ -0,0 +1 @@
+DROP TABLE IF EXISTS vision_board_revisions;
@@ -0,0 +1,17 @@
+-- Vision Board Revisions
+-- Every save that changes a vision board card's tasks stores the card as it
+-- was before the save. Only the newest revisions of each card are kept
+-- (VISION_BOARD_REVISION_LIMIT).
+CREATE TABLE IF NOT EXISTS vision_board_revisions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  card_row_id INT NOT NULL,
+  user_id INT NOT NULL,
+  version INT NOT NULL,
+  tasks JSON NOT NULL,
+  summary JSON NOT NULL,
+  source VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_card (card_row_id, id),
+  FOREIGN KEY (card_row_id) REFERENCES vision_board_tasks (id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+UPDATE sync_changes SET entity_type = 'calendar_2025' WHERE entity_type = 'calendar';
+
+ALTER TABLE calendar_entries RENAME INDEX idx_calendar_user_date TO idx_calendar_2025_user_date;
+
+RENAME TABLE calendar_entries TO calendar_2025_tasks;
@@ -0,0 +1,9 @@
+-- Calendar Entries
+-- The daily calendar is no longer tied to 2025: calendar_2025_tasks becomes
+-- calendar_entries with all of its rows, ids and keys. Sync clients see the
+-- entity type change from calendar_2025 to calendar.
+RENAME TABLE calendar_2025_tasks TO calendar_entries;
+
+ALTER TABLE calendar_entries RENAME INDEX idx_calendar_2025_user_date TO idx_calendar_user_date;
+
+UPDATE sync_changes SET entity_type = 'calendar' WHERE entity_type = 'calendar_2025';
@@ -0,0 +1,16 @@
+DELETE FROM sync_changes WHERE entity_type = 'calendar_day';
+
+-- Entries saved without a colour take their day's mood, or type 0
+UPDATE calendar_entries e
+  LEFT JOIN calendar_days d ON d.user_id = e.user_id AND d.day_date = e.task_date AND d.theme = e.theme AND d.deleted_at IS NULL
+  SET e.task_type = COALESCE(e.task_type, d.task_type, 0),
+      e.color_code = COALESCE(e.color_code, d.color_code, 'selected-color-0');
+
+DROP TABLE IF EXISTS calendar_days;
+
+ALTER TABLE calendar_entries
+  DROP COLUMN duration_minutes,
+  DROP COLUMN start_time,
+  DROP COLUMN position,
+  MODIFY task_type INT NOT NULL,
+  MODIFY color_code VARCHAR(20) NOT NULL;
@@ -0,0 +1,39 @@
+-- Calendar Days
+-- A day can hold several calendar entries, each with its own position and an
+-- optional time of day and duration. The day's mood (task_type/color_code)
+-- moves to calendar_days, one row per user, date and theme; an entry's own
+-- task_type/color_code become optional.
+ALTER TABLE calendar_entries
+  ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER theme,
+  ADD COLUMN start_time TIME NULL AFTER position,
+  ADD COLUMN duration_minutes INT NULL AFTER start_time,
+  MODIFY task_type INT NULL,
+  MODIFY color_code VARCHAR(20) NULL;
+
+CREATE TABLE IF NOT EXISTS calendar_days (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  day_date DATE NOT NULL,
+  theme VARCHAR(50) NOT NULL,
+  task_type INT NOT NULL,
+  color_code VARCHAR(20) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  UNIQUE KEY uniq_calendar_day (user_id, day_date, theme),
+  INDEX idx_deleted_at (deleted_at),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
+
+-- Each existing day's mood is the colour of its latest entry
+INSERT INTO calendar_days (user_id, day_date, theme, task_type, color_code)
+  SELECT e.user_id, e.task_date, e.theme, e.task_type, e.color_code
+  FROM calendar_entries e
+  JOIN (
+    SELECT MAX(id) AS id FROM calendar_entries
+    WHERE user_id IS NOT NULL AND deleted_at IS NULL
+    GROUP BY user_id, task_date, theme
+  ) latest ON latest.id = e.id;
+
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'calendar_day', id, 'upsert' FROM calendar_days;
@@ -0,0 +1,8 @@
+-- Repeating entries keep only their first occurrence
+ALTER TABLE calendar_entries
+  DROP FOREIGN KEY fk_calendar_series,
+  DROP INDEX idx_series,
+  DROP COLUMN recurrence_date,
+  DROP COLUMN series_id,
+  DROP COLUMN exdates,
+  DROP COLUMN rrule;
@@ -0,0 +1,12 @@
+-- Calendar Recurrence
+-- An entry with an rrule (iCalendar RRULE subset) repeats from its task_date;
+-- exdates lists occurrence dates that were removed. An occurrence edited on
+-- its own is stored as a separate entry with series_id pointing at the
+-- repeating entry and recurrence_date set to the date it replaces.
+ALTER TABLE calendar_entries
+  ADD COLUMN rrule VARCHAR(255) NULL AFTER duration_minutes,
+  ADD COLUMN exdates JSON NULL AFTER rrule,
+  ADD COLUMN series_id INT NULL AFTER exdates,
+  ADD COLUMN recurrence_date DATE NULL AFTER series_id,
+  ADD INDEX idx_series (series_id),
+  ADD CONSTRAINT fk_calendar_series FOREIGN KEY (series_id) REFERENCES calendar_entries (id) ON DELETE CASCADE;
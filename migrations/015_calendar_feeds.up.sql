@@ -0,0 +1,11 @@
+-- Calendar Feeds
+-- Each user can have one secret .ics subscription URL. Only a hash of the
+-- URL's token is stored; rotating replaces it and revoking deletes the row.
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  user_id INT PRIMARY KEY,
+  token_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  UNIQUE KEY uniq_token_hash (token_hash),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
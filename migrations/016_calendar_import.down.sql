@@ -0,0 +1,3 @@
+ALTER TABLE calendar_entries
+  DROP INDEX idx_user_ical_uid,
+  DROP COLUMN ical_uid;
@@ -0,0 +1,6 @@
+-- Calendar Import
+-- Entries imported from an .ics file keep the event's UID, so importing the
+-- same file again reports its events as duplicates, and exports reuse it.
+ALTER TABLE calendar_entries
+  ADD COLUMN ical_uid VARCHAR(255) NULL AFTER recurrence_date,
+  ADD INDEX idx_user_ical_uid (user_id, ical_uid);
@@ -0,0 +1,4 @@
+ALTER TABLE weekly_planner_tasks
+  DROP INDEX idx_weekly_planner_user_week,
+  DROP COLUMN weekday,
+  DROP COLUMN iso_week;
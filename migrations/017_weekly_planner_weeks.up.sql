@@ -0,0 +1,29 @@
+-- Weekly Planner Weeks
+-- A weekly planner card is one day of an ISO week: iso_week (e.g. 2026-W43)
+-- and weekday (1 = Monday to 7 = Sunday). Cards saved through the week API
+-- use card_id <iso_week>-<weekday>.
+ALTER TABLE weekly_planner_tasks
+  ADD COLUMN iso_week CHAR(8) NULL AFTER card_id,
+  ADD COLUMN weekday TINYINT NULL AFTER iso_week,
+  ADD INDEX idx_weekly_planner_user_week (user_id, theme, iso_week);
+
+-- Existing cards are named after weekdays; they become that day of the
+-- current week. Their card_id is kept so older app builds still find them.
+UPDATE weekly_planner_tasks
+SET weekday = CASE LOWER(TRIM(card_id))
+    WHEN 'monday' THEN 1 WHEN 'mon' THEN 1
+    WHEN 'tuesday' THEN 2 WHEN 'tue' THEN 2
+    WHEN 'wednesday' THEN 3 WHEN 'wed' THEN 3
+    WHEN 'thursday' THEN 4 WHEN 'thu' THEN 4
+    WHEN 'friday' THEN 5 WHEN 'fri' THEN 5
+    WHEN 'saturday' THEN 6 WHEN 'sat' THEN 6
+    WHEN 'sunday' THEN 7 WHEN 'sun' THEN 7
+  END,
+  iso_week = DATE_FORMAT(CURDATE(), '%x-W%v')
+WHERE LOWER(TRIM(card_id)) IN ('monday', 'mon', 'tuesday', 'tue', 'wednesday', 'wed', 'thursday', 'thu',
+  'friday', 'fri', 'saturday', 'sat', 'sunday', 'sun');
+
+-- Let synced devices pick up the new fields
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'weekly_planner', id, 'upsert' FROM weekly_planner_tasks
+  WHERE iso_week IS NOT NULL AND user_id IS NOT NULL AND deleted_at IS NULL;
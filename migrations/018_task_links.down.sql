@@ -0,0 +1,4 @@
+ALTER TABLE calendar_entries
+  DROP INDEX idx_user_vision_task,
+  DROP COLUMN vision_task_id,
+  DROP COLUMN completed;
@@ -0,0 +1,8 @@
+-- Task Links
+-- Calendar entries can be ticked off and linked to a vision board task, so
+-- a vision board card can show the progress of the actions planned for it.
+-- Weekly planner tasks carry their link (vision_task_id) in the tasks JSON.
+ALTER TABLE calendar_entries
+  ADD COLUMN completed BOOLEAN NOT NULL DEFAULT FALSE AFTER duration_minutes,
+  ADD COLUMN vision_task_id VARCHAR(255) NULL AFTER ical_uid,
+  ADD INDEX idx_user_vision_task (user_id, vision_task_id);
@@ -0,0 +1,30 @@
+-- Mood Entries
+-- A mood log: any number of entries a day, each with a mood on a 1-5 scale
+-- (1 = awful, 5 = great), optional tags and a note. logged_at is the user's
+-- local date and time, like calendar dates and start times.
+CREATE TABLE IF NOT EXISTS mood_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  mood TINYINT NOT NULL,
+  tags JSON NULL,
+  note TEXT NULL,
+  logged_at DATETIME NOT NULL,
+  calendar_day_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_logged_at (user_id, logged_at),
+  UNIQUE KEY uniq_calendar_day (calendar_day_id),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE
+);
+
+-- Each day mood set on the calendar becomes an entry at midday (no time was
+-- recorded), tagged with the colour's mood. Colour numbers mean the same mood
+-- in every theme; colours outside the shared palette are left out.
+INSERT IGNORE INTO mood_entries (user_id, mood, tags, logged_at, calendar_day_id)
+  SELECT user_id,
+    CASE task_type WHEN 1 THEN 4 WHEN 2 THEN 5 WHEN 3 THEN 3 WHEN 4 THEN 2 WHEN 5 THEN 1 END,
+    JSON_ARRAY(CASE task_type WHEN 1 THEN 'energised' WHEN 2 THEN 'happy' WHEN 3 THEN 'calm' WHEN 4 THEN 'tired' WHEN 5 THEN 'stressed' END),
+    TIMESTAMP(day_date, '12:00:00'),
+    id
+  FROM calendar_days
+  WHERE deleted_at IS NULL AND task_type BETWEEN 1 AND 5;
@@ -0,0 +1,20 @@
+-- Journal Entries
+-- A journal entry has an optional title, a body, tags, the local date it was
+-- written for and, optionally, the mood log entry and daily prompt it goes
+-- with. Titles and bodies are full-text indexed for search.
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  title VARCHAR(255) NULL,
+  body TEXT NOT NULL,
+  tags JSON NULL,
+  entry_date DATE NOT NULL,
+  mood_entry_id INT NULL,
+  prompt_id VARCHAR(50) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_user_entry_date (user_id, entry_date),
+  FULLTEXT INDEX ft_title_body (title, body),
+  FOREIGN KEY (user_id) REFERENCES user (id) ON DELETE CASCADE,
+  FOREIGN KEY (mood_entry_id) REFERENCES mood_entries (id) ON DELETE SET NULL
+);
@@ -0,0 +1,3 @@
+-- The weeks set by the up migration can't be told apart from ones set by 017
+-- or by later saves, so they are kept
+DO 0;
@@ -0,0 +1,25 @@
+-- Weekly Planner Weekday Cards
+-- Older app builds keep saving cards named after weekdays (Monday, mon, ...).
+-- Such saves now go to that day of the current week (resolveDayCardId in
+-- services/weeklyPlannerService.js), but cards those builds created after
+-- 017 ran have no week. They become that day of the week they were last
+-- saved in.
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT user_id, 'weekly_planner', id, 'upsert' FROM weekly_planner_tasks
+  WHERE iso_week IS NULL AND user_id IS NOT NULL AND deleted_at IS NULL
+    AND LOWER(TRIM(card_id)) IN ('monday', 'mon', 'tuesday', 'tue', 'wednesday', 'wed', 'thursday', 'thu',
+      'friday', 'fri', 'saturday', 'sat', 'sunday', 'sun');
+
+UPDATE weekly_planner_tasks
+SET weekday = CASE LOWER(TRIM(card_id))
+    WHEN 'monday' THEN 1 WHEN 'mon' THEN 1
+    WHEN 'tuesday' THEN 2 WHEN 'tue' THEN 2
+    WHEN 'wednesday' THEN 3 WHEN 'wed' THEN 3
+    WHEN 'thursday' THEN 4 WHEN 'thu' THEN 4
+    WHEN 'friday' THEN 5 WHEN 'fri' THEN 5
+    WHEN 'saturday' THEN 6 WHEN 'sat' THEN 6
+    WHEN 'sunday' THEN 7 WHEN 'sun' THEN 7
+  END,
+  iso_week = DATE_FORMAT(COALESCE(updated_at, created_at), '%x-W%v')
+WHERE iso_week IS NULL AND LOWER(TRIM(card_id)) IN ('monday', 'mon', 'tuesday', 'tue', 'wednesday', 'wed', 'thursday', 'thu',
+  'friday', 'fri', 'saturday', 'sat', 'sunday', 'sun');
@@ -0,0 +1 @@
+ALTER TABLE vision_board_tasks DROP INDEX uniq_live_vision_card, DROP COLUMN live_card;
@@ -0,0 +1,24 @@
+-- Vision Board Unique Cards
+-- A user has one live card per card_id and theme. Concurrent kept saves
+-- could each insert one; the unique key makes the second insert fail so it
+-- can retry against the card the kept one created. Deleted cards stay out
+-- of the key (live_card is NULL for them), so the trash can keep old copies.
+
+-- Older duplicates go to the trash; the oldest card is the one the API has always used
+INSERT INTO sync_changes (user_id, entity_type, entity_id, operation)
+  SELECT t.user_id, 'vision_board', t.id, 'delete'
+  FROM vision_board_tasks t
+  JOIN vision_board_tasks kept ON kept.user_id = t.user_id AND kept.card_id = t.card_id
+    AND kept.theme = t.theme AND kept.deleted_at IS NULL AND kept.id < t.id
+  WHERE t.deleted_at IS NULL
+  GROUP BY t.id, t.user_id;
+
+UPDATE vision_board_tasks t
+  JOIN vision_board_tasks kept ON kept.user_id = t.user_id AND kept.card_id = t.card_id
+    AND kept.theme = t.theme AND kept.deleted_at IS NULL AND kept.id < t.id
+SET t.deleted_at = NOW()
+WHERE t.deleted_at IS NULL;
+
+ALTER TABLE vision_board_tasks
+  ADD COLUMN live_card TINYINT AS (IF(deleted_at IS NULL, 1, NULL)) VIRTUAL,
+  ADD UNIQUE KEY uniq_live_vision_card (user_id, card_id, theme, live_card);
@@ -0,0 +1,277 @@
+const { query, transaction } = require('../config/database');
+const { parseTasks } = require('./visionBoardService');
+const { writeVersionedCard } = require('./plannerCardService');
+const { isValidDate } = require('./calendarService');
+
+const TABLE = 'annual_calendar_tasks';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validate the goal fields of annual calendar tasks. All are optional, so
+ * plain tasks are valid:
+ * - date: target date, YYYY-MM-DD
+ * - year: the year the goal is for, when it has no date
+ * - target: amount to reach, e.g. 24 (books)
+ * - progress: amount reached so far
+ * - unit: what is counted, e.g. 'books'
+ *
+ * @param {Array|string} tasks - Tasks from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateGoals = (tasks) => {
+  for (const task of parseTasks(tasks)) {
+    if (!task || typeof task !== 'object') {
+      continue;
+    }
+
+    const name = task.id !== undefined ? `Task ${task.id}` : 'A task';
+
+    if (task.date !== undefined && task.date !== null && !isValidDate(task.date)) {
+      return `${name}: date must be a YYYY-MM-DD date`;
+    }
+
+    if (task.year !== undefined && task.year !== null && !(Number.isInteger(task.year) && task.year >= 1000 && task.year <= 9999)) {
+      return `${name}: year must be a four-digit year`;
+    }
+
+    if (task.target !== undefined && task.target !== null && !isPositiveNumber(task.target)) {
+      return `${name}: target must be a number greater than 0`;
+    }
+
+    if (task.progress !== undefined && task.progress !== null && !(isPositiveNumber(task.progress) || task.progress === 0)) {
+      return `${name}: progress must be a number of 0 or more`;
+    }
+
+    if (task.unit !== undefined && task.unit !== null && typeof task.unit !== 'string') {
+      return `${name}: unit must be a string`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Year a goal belongs to: its year, or the year of its target date
+ *
+ * @param {Object} task
+ * @returns {number|null} - null for tasks with neither
+ */
+const goalYear = (task) => {
+  if (Number.isInteger(task.year)) {
+    return task.year;
+  }
+  const match = DATE_PATTERN.exec(task.date || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * How complete a goal is, from 0 to 100. Goals with a target count their
+ * progress towards it; others are 0 or 100 depending on completed.
+ *
+ * @param {Object} task
+ * @returns {number}
+ */
+const goalPercent = (task) => {
+  if (task.completed) {
+    return 100;
+  }
+  if (isPositiveNumber(task.target)) {
+    return Math.min(100, Math.round(((task.progress || 0) / task.target) * 100));
+  }
+  return 0;
+};
+
+// Completion of a group of goals: the average of their percentages
+const completion = (goals) => ({
+  goals: goals.length,
+  completed: goals.filter(goal => goal.percent === 100).length,
+  percent: goals.length > 0 ? Math.round(goals.reduce((total, goal) => total + goal.percent, 0) / goals.length) : null
+});
+
+const formatGoal = (card, task) => ({
+  card_id: card.card_id,
+  theme: card.theme,
+  task_id: task.id,
+  text: task.text,
+  date: task.date || null,
+  year: goalYear(task),
+  target: task.target === undefined ? null : task.target,
+  progress: task.progress === undefined ? null : task.progress,
+  unit: task.unit || null,
+  completed: Boolean(task.completed),
+  percent: goalPercent(task)
+});
+
+/**
+ * Progress on a year's goals, overall, per month of the target date and per goal
+ *
+ * @param {number} userId - The user's id
+ * @param {number} year - e.g. 2026
+ * @param {Object} [filters] - { theme }, optional
+ * @returns {Promise<Object>} - { year, overall, months: [{ month, goals, completed, percent }], goals }
+ */
+const summarizeYear = async (userId, year, filters = {}) => {
+  let sql = `SELECT id, card_id, theme, tasks FROM ${TABLE} WHERE user_id = ? AND deleted_at IS NULL`;
+  const params = [userId];
+  if (filters.theme) {
+    sql += ' AND theme = ?';
+    params.push(filters.theme);
+  }
+  const cards = await query(`${sql} ORDER BY id`, params);
+
+  const goals = [];
+  cards.forEach(card => {
+    parseTasks(card.tasks)
+      .filter(task => task && typeof task === 'object' && goalYear(task) === year)
+      .forEach(task => goals.push(formatGoal(card, task)));
+  });
+
+  const months = [];
+  for (let month = 1; month <= 12; month++) {
+    const prefix = `${year}-${String(month).padStart(2, '0')}`;
+    months.push({ month, ...completion(goals.filter(goal => goal.date && goal.date.startsWith(prefix))) });
+  }
+
+  return { year, overall: completion(goals), months, goals };
+};
+
+// Lock a card for the rest of the transaction
+const findCard = async (txQuery, userId, cardId, theme) => {
+  const cards = await txQuery(
+    `SELECT * FROM ${TABLE} WHERE user_id = ? AND card_id = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE`,
+    [userId, cardId, theme]
+  );
+  return cards.length > 0 ? cards[0] : null;
+};
+
+/**
+ * Add to a goal's progress. A goal with a target is completed once progress
+ * reaches it, and reopened if progress drops below it again.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} cardId - The card's card_id
+ * @param {string} theme - The card theme
+ * @param {string} taskId - The goal's task id
+ * @param {number} amount - Amount to add; negative to correct a mistake. Progress doesn't go below 0.
+ * @returns {Promise<Object|null>} - { goal, version }, or null if the card or goal doesn't exist
+ */
+const addProgress = (user, cardId, theme, taskId, amount) => {
+  return transaction(async (txQuery) => {
+    const card = await findCard(txQuery, user.id, cardId, theme);
+    const tasks = card ? parseTasks(card.tasks) : [];
+    const task = tasks.find(item => item && String(item.id) === String(taskId));
+
+    if (!task) {
+      return null;
+    }
+
+    const progress = Math.max(0, (task.progress || 0) + amount);
+    const updated = {
+      ...task,
+      progress,
+      completed: isPositiveNumber(task.target) ? progress >= task.target : Boolean(task.completed)
+    };
+
+    const result = await writeVersionedCard(txQuery, {
+      table: TABLE,
+      user,
+      cardId,
+      theme,
+      tasks: tasks.map(item => (item === task ? updated : item)),
+      expectedVersion: card.version,
+      source: 'goal_progress'
+    });
+
+    return { goal: formatGoal(card, updated), version: result.version };
+  });
+};
+
+// The same day a year later; 29 February becomes 28 February
+const nextYearDate = (date) => {
+  const [year, month, day] = date.split('-');
+  const nextYear = parseInt(year, 10) + 1;
+  const isLeap = (nextYear % 4 === 0 && nextYear % 100 !== 0) || nextYear % 400 === 0;
+  return `${nextYear}-${month}-${month === '02' && day === '29' && !isLeap ? '28' : day}`;
+};
+
+/**
+ * Copy a year's unfinished goals into the next year, on the same card. Copies
+ * keep their target and progress, move their date (or year) on a year, get
+ * the id <id>-<next year> and carried_over_from; the originals get
+ * carried_over_to, so carrying over again doesn't copy them twice.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {number} year - The year to carry over from
+ * @param {Object} [filters] - { theme }, optional
+ * @returns {Promise<Object>} - { from, to, carried_over, goals: [{ card_id, theme, task_id, new_task_id }] }
+ */
+const carryOverGoals = (user, year, filters = {}) => {
+  const nextYear = year + 1;
+
+  return transaction(async (txQuery) => {
+    let sql = `SELECT * FROM ${TABLE} WHERE user_id = ? AND deleted_at IS NULL`;
+    const params = [user.id];
+    if (filters.theme) {
+      sql += ' AND theme = ?';
+      params.push(filters.theme);
+    }
+    const cards = await txQuery(`${sql} ORDER BY id FOR UPDATE`, params);
+    const carried = [];
+
+    for (const card of cards) {
+      const tasks = parseTasks(card.tasks);
+      const ids = new Set(tasks.map(task => task && String(task.id)));
+      const unfinished = tasks.filter(task =>
+        task && typeof task === 'object' && task.id !== undefined &&
+        goalYear(task) === year && goalPercent(task) < 100 && !task.carried_over_to
+      );
+
+      if (unfinished.length === 0) {
+        continue;
+      }
+
+      const copies = [];
+      unfinished.forEach(task => {
+        const copyId = `${task.id}-${nextYear}`;
+        if (!ids.has(copyId)) {
+          copies.push({
+            ...task,
+            id: copyId,
+            ...(task.date && { date: nextYearDate(task.date) }),
+            ...(Number.isInteger(task.year) && { year: nextYear }),
+            completed: false,
+            carried_over_from: year
+          });
+          carried.push({ card_id: card.card_id, theme: card.theme, task_id: task.id, new_task_id: copyId });
+        }
+      });
+
+      await writeVersionedCard(txQuery, {
+        table: TABLE,
+        user,
+        cardId: card.card_id,
+        theme: card.theme,
+        tasks: [
+          ...tasks.map(task => (unfinished.includes(task) ? { ...task, carried_over_to: nextYear } : task)),
+          ...copies
+        ],
+        expectedVersion: card.version,
+        source: 'carry_over'
+      });
+    }
+
+    return { from: year, to: nextYear, carried_over: carried.length, goals: carried };
+  });
+};
+
+module.exports = {
+  validateGoals,
+  goalYear,
+  goalPercent,
+  summarizeYear,
+  addProgress,
+  carryOverGoals
+};
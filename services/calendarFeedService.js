@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { hashToken } = require('./tokenService');
+const { parseTasks } = require('./visionBoardService');
+const { isValidDate, listStoredEntries } = require('./calendarService');
+const { toDateString } = require('./recurrenceService');
+const { entryEvent, annualTaskEvent, buildCalendar } = require('./icalService');
+
+/**
+ * Build a user's calendar as .ics: their calendar entries, with repeating
+ * entries as RRULE events, and annual calendar tasks that have a date
+ *
+ * @param {Object} user - { id, name }
+ * @param {Object} [filters] - { theme } to export one calendar theme
+ * @returns {Promise<string>}
+ */
+const buildUserCalendar = async (user, filters = {}) => {
+  const entries = await listStoredEntries(user.id, filters);
+
+  // Occurrences edited on their own are sent as overrides (RECURRENCE-ID) of their repeating entry
+  const series = new Map(entries.filter(entry => entry.rrule).map(entry => [entry.id, entry]));
+  const overrides = entries.filter(entry => series.has(entry.series_id) && entry.recurrence_date);
+  const overridden = new Set(overrides.map(entry => `${entry.series_id}|${toDateString(entry.recurrence_date)}`));
+
+  const events = entries.map(entry => {
+    if (overrides.includes(entry)) {
+      return entryEvent(entry, series.get(entry.series_id));
+    }
+
+    // An overridden occurrence is replaced, so it must not also be excluded
+    const exdates = entry.rrule
+      ? (entry.exdates || []).filter(date => !overridden.has(`${entry.id}|${date}`))
+      : entry.exdates;
+    return entryEvent({ ...entry, exdates });
+  });
+
+  if (!filters.theme) {
+    const cards = await query(
+      'SELECT id, card_id, theme, tasks, created_at, updated_at FROM annual_calendar_tasks WHERE user_id = ? AND deleted_at IS NULL ORDER BY id',
+      [user.id]
+    );
+    cards.forEach(card => {
+      parseTasks(card.tasks)
+        .filter(task => task && task.id !== undefined && isValidDate(task.date) && task.text)
+        .forEach(task => events.push(annualTaskEvent(card, task)));
+    });
+  }
+
+  return buildCalendar(user.name ? `${user.name}'s Reconstrect calendar` : 'Reconstrect calendar', events);
+};
+
+/**
+ * Create the user's subscription feed token, replacing any earlier one so
+ * the old URL stops working
+ *
+ * @param {number} userId - The user's id
+ * @returns {Promise<string>} - The raw token for the feed URL; it can't be shown again
+ */
+const rotateFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await query(
+    `INSERT INTO calendar_feeds (user_id, token_hash) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = CURRENT_TIMESTAMP, last_used_at = NULL`,
+    [userId, hashToken(token)]
+  );
+
+  return token;
+};
+
+/**
+ * Get the user's feed, without its token
+ *
+ * @param {number} userId - The user's id
+ * @returns {Promise<Object|null>} - { created_at, last_used_at }, or null if there is no feed
+ */
+const getFeed = async (userId) => {
+  const feeds = await query('SELECT created_at, last_used_at FROM calendar_feeds WHERE user_id = ?', [userId]);
+  return feeds.length > 0 ? feeds[0] : null;
+};
+
+/**
+ * Revoke the user's feed; its URL stops working
+ *
+ * @param {number} userId - The user's id
+ * @returns {Promise<boolean>} - Whether there was a feed
+ */
+const revokeFeed = async (userId) => {
+  const result = await query('DELETE FROM calendar_feeds WHERE user_id = ?', [userId]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Find the user a feed token belongs to, and note that the feed was used
+ *
+ * @param {string} token - The raw token from the feed URL
+ * @returns {Promise<Object|null>} - { id, name }, or null if the token is unknown or revoked
+ */
+const findFeedUser = async (token) => {
+  const users = await query(
+    'SELECT u.id, u.name FROM calendar_feeds f JOIN user u ON u.id = f.user_id WHERE f.token_hash = ?',
+    [hashToken(token)]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  await query('UPDATE calendar_feeds SET last_used_at = NOW() WHERE user_id = ?', [users[0].id]);
+  return users[0];
+};
+
+module.exports = {
+  buildUserCalendar,
+  rotateFeedToken,
+  getFeed,
+  revokeFeed,
+  findFeedUser
+};
@@ -0,0 +1,313 @@
+const { transaction } = require('../config/database');
+const { MAX_DURATION_MINUTES, isValidDate, listStoredEntries, addEntry, updateEntry } = require('./calendarService');
+const { toDateString, parseRRule, formatRRule } = require('./recurrenceService');
+const { entryUid, parseCalendar } = require('./icalService');
+
+// Most events read from one file
+const MAX_IMPORT_EVENTS = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check an IANA time zone name, e.g. Europe/London
+ *
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const zoneOffset = (time, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time));
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - time;
+};
+
+// A date and time as milliseconds, read as if it were UTC
+const wallTime = (value) => {
+  const [year, month, day] = value.date.split('-').map(Number);
+  const [hours, minutes, seconds] = value.time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+};
+
+/**
+ * Convert a parsed DATE-TIME to the wall-clock date and time of the user's
+ * time zone. All-day values, floating times and times in zones the server
+ * doesn't know (e.g. Windows zone names) keep their date and time.
+ *
+ * @param {Object} value - From parseDateValue
+ * @param {string} timeZone - The user's IANA time zone
+ * @returns {Object} - { date, time }
+ */
+const toUserTime = (value, timeZone) => {
+  if (!value.time || (!value.utc && !(value.tzid && isValidTimeZone(value.tzid)))) {
+    return { date: value.date, time: value.time };
+  }
+
+  let instant = wallTime(value);
+  if (!value.utc) {
+    // The offset depends on the instant; a second pass settles it around DST changes
+    instant = wallTime(value) - zoneOffset(instant, value.tzid);
+    instant = wallTime(value) - zoneOffset(instant, value.tzid);
+  }
+
+  const local = new Date(instant + zoneOffset(instant, timeZone)).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 19) };
+};
+
+// Days between two YYYY-MM-DD dates
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Report item for an event
+const describe = (event, extra) => ({
+  uid: event.uid,
+  summary: event.summary,
+  task_date: event.start ? event.start.date : null,
+  ...extra
+});
+
+// parseDateValue only checks the digits; 20261340 or a 25th hour must not reach the database
+const isValidDateValue = (value) => {
+  if (!isValidDate(value.date)) {
+    return false;
+  }
+  if (!value.time) {
+    return true;
+  }
+  const [hours, minutes, seconds] = value.time.split(':').map(Number);
+  return hours <= 23 && minutes <= 59 && seconds <= 60;
+};
+
+/**
+ * Map an event onto calendar entry fields
+ *
+ * @param {Object} event - From parseCalendar
+ * @param {Object} options - { theme, task_type, timezone }
+ * @returns {Object} - { fields, recurrenceDate } or { skip: reason }
+ */
+const mapEvent = (event, options) => {
+  if (!event.start || !isValidDateValue(event.start)) {
+    return { skip: 'Missing or invalid DTSTART' };
+  }
+
+  if (event.end && !isValidDateValue(event.end)) {
+    return { skip: 'Invalid DTEND' };
+  }
+
+  if (!event.exdates.every(isValidDateValue)) {
+    return { skip: 'Invalid EXDATE' };
+  }
+
+  if (event.recurrenceId && !isValidDateValue(event.recurrenceId)) {
+    return { skip: 'Invalid RECURRENCE-ID' };
+  }
+
+  if (event.status === 'CANCELLED') {
+    return { skip: 'Cancelled event' };
+  }
+
+  const start = toUserTime(event.start, options.timezone);
+  const fields = {
+    task_date: start.date,
+    start_time: start.time,
+    duration_minutes: null,
+    task_description: event.summary || 'Untitled event',
+    theme: options.theme,
+    task_type: options.task_type === undefined ? null : options.task_type,
+    color_code: options.task_type === undefined ? null : `selected-color-${options.task_type}`,
+    rrule: null,
+    exdates: null
+  };
+
+  if (start.time) {
+    let minutes = event.duration;
+    if (minutes === null && event.end && event.end.time) {
+      const end = toUserTime(event.end, options.timezone);
+      minutes = Math.round((wallTime(end) - wallTime(start)) / 60000);
+    }
+    fields.duration_minutes = minutes !== null && minutes >= 0 && minutes <= MAX_DURATION_MINUTES ? minutes : null;
+  }
+
+  if (event.rrule && !event.recurrenceId) {
+    let rule;
+    try {
+      rule = parseRRule(event.rrule);
+    } catch (error) {
+      return { skip: `Unsupported recurrence: ${error.message}` };
+    }
+
+    // BYDAY is relative to the event's own time zone; follow the start if it moved to another day
+    const shift = daysBetween(event.start.date, start.date);
+    if (rule.byday && shift !== 0) {
+      rule.byday = rule.byday.map(day => (((day + shift) % 7) + 7) % 7).sort();
+    }
+
+    fields.rrule = formatRRule(rule);
+    fields.exdates = event.exdates.length > 0 ? event.exdates.map(exdate => toUserTime(exdate, options.timezone).date) : null;
+  }
+
+  const recurrenceDate = event.recurrenceId ? toUserTime(event.recurrenceId, options.timezone).date : null;
+  return { fields, recurrenceDate };
+};
+
+// Keys of the user's existing entries, to find events that were imported or exported before
+const indexEntries = (entries) => {
+  const byUid = new Map();
+  const byOccurrence = new Map();
+  const byContent = new Map();
+
+  entries.forEach(entry => {
+    if (entry.series_id) {
+      byOccurrence.set(`${entry.series_id}|${toDateString(entry.recurrence_date)}`, entry);
+    } else {
+      byUid.set(entry.ical_uid || entryUid(entry.id), entry);
+    }
+    byContent.set(contentKey({ ...entry, task_date: toDateString(entry.task_date) }), entry);
+  });
+
+  return { byUid, byOccurrence, byContent };
+};
+
+const contentKey = (fields) => {
+  const time = fields.start_time ? String(fields.start_time).slice(0, 5) : '';
+  return [fields.task_date, fields.theme, fields.task_description, time].join('|');
+};
+
+/**
+ * Import the events of an .ics file as calendar entries. Repeating events
+ * keep their rule; occurrences the file changes on their own (RECURRENCE-ID)
+ * are added as edited occurrences of their repeating entry. Events already
+ * in the calendar, from an earlier import or this server's own export, are
+ * reported as duplicates instead of being added again.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} ics - The .ics file
+ * @param {Object} options - { theme, task_type, timezone, dryRun }
+ * @returns {Promise<Object>} - { imported, duplicates, skipped }, imported items having an id unless dryRun;
+ *   or { error } if the file can't be read or has too many events
+ */
+const importCalendar = async (user, ics, options) => {
+  let events;
+  try {
+    events = parseCalendar(ics);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  if (events.length > MAX_IMPORT_EVENTS) {
+    return { error: `The file has ${events.length} events; at most ${MAX_IMPORT_EVENTS} can be imported at once` };
+  }
+
+  const existing = indexEntries(await listStoredEntries(user.id));
+  const seen = new Set();
+  const planned = [];
+  const duplicates = [];
+  const skipped = [];
+
+  events.forEach(event => {
+    const mapped = mapEvent(event, options);
+    if (mapped.skip) {
+      skipped.push(describe(event, { reason: mapped.skip }));
+      return;
+    }
+
+    const { fields, recurrenceDate } = mapped;
+    const key = event.uid ? `${event.uid}|${recurrenceDate || ''}` : `content|${contentKey(fields)}`;
+
+    if (seen.has(key)) {
+      duplicates.push(describe(event, { reason: 'Appears more than once in the file' }));
+      return;
+    }
+    seen.add(key);
+
+    const stored = event.uid ? existing.byUid.get(event.uid) : null;
+    const match = (recurrenceDate
+      ? stored && existing.byOccurrence.get(`${stored.id}|${recurrenceDate}`)
+      : stored) || existing.byContent.get(contentKey(fields));
+    if (match) {
+      duplicates.push(describe(event, { reason: 'Already in your calendar', existing_id: match.id }));
+      return;
+    }
+
+    planned.push({ event, fields, recurrenceDate });
+  });
+
+  // Overrides of a repeating event replace one of its occurrences. The
+  // repeating event is in this file or was imported before; an override of
+  // neither is added as a plain entry.
+  const seriesByUid = new Map();
+  planned.filter(item => item.fields.rrule).forEach(item => seriesByUid.set(item.event.uid, item));
+  planned.filter(item => item.recurrenceDate).forEach(item => {
+    const stored = existing.byUid.get(item.event.uid);
+    if (!seriesByUid.has(item.event.uid) && stored && stored.rrule) {
+      seriesByUid.set(item.event.uid, { id: stored.id, stored: true, fields: { exdates: stored.exdates } });
+    }
+
+    const series = seriesByUid.get(item.event.uid);
+    if (series) {
+      item.series = series;
+      series.fields.exdates = [...new Set([...(series.fields.exdates || []), item.recurrenceDate])];
+    }
+  });
+
+  const preview = (item) => describe(item.event, {
+    task_date: item.fields.task_date,
+    start_time: item.fields.start_time,
+    duration_minutes: item.fields.duration_minutes,
+    rrule: item.fields.rrule,
+    recurrence_date: item.series ? item.recurrenceDate : null
+  });
+
+  if (options.dryRun) {
+    return { imported: planned.map(preview), duplicates, skipped };
+  }
+
+  const imported = await transaction(async (txQuery) => {
+    const results = [];
+
+    for (const series of seriesByUid.values()) {
+      if (series.stored) {
+        await updateEntry(txQuery, user.id, series.id, { exdates: series.fields.exdates });
+      }
+    }
+
+    // Repeating entries first, so their overrides can point at them
+    const ordered = [...planned.filter(item => !item.series), ...planned.filter(item => item.series)];
+    for (const item of ordered) {
+      const links = item.series
+        ? { series_id: item.series.id, recurrence_date: item.recurrenceDate }
+        : { ical_uid: item.event.uid && !item.recurrenceDate ? item.event.uid : null };
+
+      const added = await addEntry(txQuery, user, item.fields, links);
+      item.id = added.id;
+      results.push({ ...preview(item), id: added.id });
+    }
+
+    return results;
+  });
+
+  console.log(`Imported ${imported.length} calendar entries for user ${user.id}`);
+  return { imported, duplicates, skipped };
+};
+
+module.exports = {
+  MAX_IMPORT_EVENTS,
+  isValidTimeZone,
+  importCalendar
+};
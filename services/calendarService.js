@@ -0,0 +1,767 @@
+const { query, transaction } = require('../config/database');
+const { recordChange } = require('./changeLog');
+const { validateTheme, validateColor, canonicalColor } = require('./themeService');
+const { validateVisionTaskId } = require('./taskLinkService');
+const {
+  toDateString,
+  toLocalDate,
+  previousDay,
+  parseRRule,
+  validateRRule,
+  formatRRule,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore
+} = require('./recurrenceService');
+
+// Fields a client can set on a calendar entry
+const CALENDAR_FIELDS = [
+  'task_date', 'task_type', 'task_description', 'color_code', 'theme',
+  'position', 'start_time', 'duration_minutes', 'rrule', 'exdates', 'completed', 'vision_task_id'
+];
+
+// How an edit or delete of a repeating entry applies
+const RECURRENCE_SCOPES = ['this', 'following', 'all'];
+
+// Most occurrences returned for one repeating entry per request
+const MAX_OCCURRENCES = 1000;
+
+// Longest date range one listing can cover
+const MAX_RANGE_DAYS = 366;
+
+// Listings without a date range expand repeating entries over this many years either side of today
+const DEFAULT_EXPANSION_YEARS = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Longest duration an entry can have: a whole day
+const MAX_DURATION_MINUTES = 24 * 60;
+
+/**
+ * Check a YYYY-MM-DD date string
+ *
+ * @param {string} value - Date from the request
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  // Date rolls 2026-02-30 over to March; compare the round trip to reject it
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * First and last day of a year, for range queries
+ *
+ * @param {number} year - e.g. 2026
+ * @returns {Object} - { from, to } as YYYY-MM-DD
+ */
+const yearRange = (year) => {
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+};
+
+/**
+ * Validate the optional entry fields that have a format. Missing fields are
+ * fine; required fields are checked by the caller. The theme and colour are
+ * checked against the theme registry.
+ *
+ * @param {Object} fields - Entry fields from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateEntryFields = (fields) => {
+  if (fields.theme !== undefined) {
+    const invalidTheme = validateTheme(fields.theme, 'calendar');
+    if (invalidTheme) {
+      return invalidTheme;
+    }
+  }
+
+  const invalidColor = validateColor(fields.theme, fields);
+  if (invalidColor) {
+    return invalidColor;
+  }
+
+  if (fields.task_date !== undefined && !isValidDate(fields.task_date)) {
+    return 'task_date must be a YYYY-MM-DD date';
+  }
+
+  if (fields.start_time !== undefined && fields.start_time !== null && !TIME_PATTERN.test(fields.start_time)) {
+    return 'start_time must be HH:MM or null';
+  }
+
+  if (fields.duration_minutes !== undefined && fields.duration_minutes !== null &&
+      !(Number.isInteger(fields.duration_minutes) && fields.duration_minutes >= 0 && fields.duration_minutes <= MAX_DURATION_MINUTES)) {
+    return `duration_minutes must be a whole number from 0 to ${MAX_DURATION_MINUTES}, or null`;
+  }
+
+  if (fields.completed !== undefined && typeof fields.completed !== 'boolean') {
+    return 'completed must be true or false';
+  }
+
+  const invalidLink = validateVisionTaskId(fields.vision_task_id);
+  if (invalidLink) {
+    return invalidLink;
+  }
+
+  if (fields.position !== undefined && !(Number.isInteger(fields.position) && fields.position >= 0)) {
+    return 'position must be a whole number of 0 or more';
+  }
+
+  if (fields.rrule !== undefined && fields.rrule !== null) {
+    const invalid = validateRRule(fields.rrule);
+    if (invalid) {
+      return invalid;
+    }
+  }
+
+  if (fields.exdates !== undefined && fields.exdates !== null &&
+      !(Array.isArray(fields.exdates) && fields.exdates.every(isValidDate))) {
+    return 'exdates must be a list of YYYY-MM-DD dates, or null';
+  }
+
+  return null;
+};
+
+/**
+ * Check the scope of an edit or delete of a repeating entry
+ *
+ * @param {string} scope - 'this', 'following' or 'all'
+ * @param {string} date - The occurrence's date, needed for 'this' and 'following'
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateScope = (scope, date) => {
+  if (!RECURRENCE_SCOPES.includes(scope)) {
+    return 'scope must be one of: ' + RECURRENCE_SCOPES.join(', ');
+  }
+
+  if (scope !== 'all' && !isValidDate(date)) {
+    return 'The occurrence date is required as YYYY-MM-DD for scope "this" or "following"';
+  }
+
+  return null;
+};
+
+// exdates is a JSON column and comes back from mysql as a string
+const parseExdates = (value) => {
+  return typeof value === 'string' ? JSON.parse(value) : value || null;
+};
+
+// Value to store for a client field; rules are stored in a canonical form
+const columnValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (field === 'rrule') {
+    return formatRRule(parseRRule(value));
+  }
+  if (field === 'exdates') {
+    return JSON.stringify([...new Set(value)].sort());
+  }
+  return value;
+};
+
+/**
+ * Make sure color_code is in the 'selected-color-X' format and task_type matches it.
+ * Entries saved without a colour are left as they are.
+ *
+ * @param {Object} entry - Calendar entry or day row
+ * @returns {Object}
+ */
+const normalizeEntry = (entry) => {
+  if (entry.task_type === null && entry.color_code === null) {
+    return entry;
+  }
+
+  if (!entry.color_code || !entry.color_code.startsWith('selected-color-')) {
+    entry.color_code = `selected-color-${entry.task_type}`;
+  }
+
+  const colorTypeMatch = entry.color_code.match(/selected-color-(\d+)/);
+  if (colorTypeMatch && colorTypeMatch[1]) {
+    entry.task_type = parseInt(colorTypeMatch[1], 10);
+  }
+
+  return entry;
+};
+
+// Order of a listing: by date, then position in the day, then time
+const compareEntries = (a, b) => {
+  return (toDateString(a.task_date) < toDateString(b.task_date) ? -1 : toDateString(a.task_date) > toDateString(b.task_date) ? 1 : 0) ||
+    a.position - b.position ||
+    String(a.start_time || '').localeCompare(String(b.start_time || '')) ||
+    a.id - b.id;
+};
+
+// Shared theme/from/to filter for entry and day queries
+const appendFilters = (sql, params, dateColumn, filters) => {
+  if (filters.theme) {
+    sql += ' AND theme = ?';
+    params.push(filters.theme);
+  }
+
+  if (filters.from) {
+    sql += ` AND ${dateColumn} >= ?`;
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    sql += ` AND ${dateColumn} <= ?`;
+    params.push(filters.to);
+  }
+
+  return sql;
+};
+
+/**
+ * List a user's calendar entries, optionally for one theme and/or a date range
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { theme, from, to }, all optional; from/to are inclusive YYYY-MM-DD
+ * @returns {Promise<Array>} - Normalized entries, ordered by date
+ */
+const listEntries = async (userId, filters = {}) => {
+  const params = [userId];
+  const sql = appendFilters(
+    'SELECT * FROM calendar_entries WHERE user_id = ? AND deleted_at IS NULL AND rrule IS NULL',
+    params,
+    'task_date',
+    filters
+  );
+  const entries = await query(sql, params);
+
+  const seriesParams = [userId];
+  const seriesSql = appendFilters(
+    'SELECT * FROM calendar_entries WHERE user_id = ? AND deleted_at IS NULL AND rrule IS NOT NULL',
+    seriesParams,
+    'task_date',
+    { theme: filters.theme, to: filters.to }
+  );
+  const series = await query(seriesSql, seriesParams);
+
+  const thisYear = new Date().getFullYear();
+  const from = filters.from || `${thisYear - DEFAULT_EXPANSION_YEARS}-01-01`;
+  const to = filters.to || `${thisYear + DEFAULT_EXPANSION_YEARS}-12-31`;
+
+  series.forEach(row => {
+    const exdates = parseExdates(row.exdates) || [];
+    const dates = expandOccurrences(toDateString(row.task_date), parseRRule(row.rrule), {
+      from,
+      to,
+      exdates,
+      limit: MAX_OCCURRENCES
+    });
+    dates.forEach(date => {
+      entries.push({ ...row, exdates, task_date: toLocalDate(date), recurrence_date: toLocalDate(date) });
+    });
+  });
+
+  return entries
+    .map(entry => normalizeEntry({ ...entry, exdates: parseExdates(entry.exdates), completed: Boolean(entry.completed) }))
+    .sort(compareEntries);
+};
+
+/**
+ * List a user's calendar entries as stored: repeating entries are returned
+ * once, with their rrule, instead of once per occurrence
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { theme }, optional
+ * @returns {Promise<Array>} - Entries with exdates parsed, ordered by date
+ */
+const listStoredEntries = async (userId, filters = {}) => {
+  const params = [userId];
+  const sql = appendFilters('SELECT * FROM calendar_entries WHERE user_id = ? AND deleted_at IS NULL', params, 'task_date', filters);
+
+  const entries = await query(sql + ' ORDER BY task_date, position, id', params);
+  return entries.map(entry => ({ ...entry, exdates: parseExdates(entry.exdates), completed: Boolean(entry.completed) }));
+};
+
+/**
+ * List a user's day moods, optionally for one theme and/or a date range
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { theme, from, to }, all optional; from/to are inclusive YYYY-MM-DD
+ * @returns {Promise<Array>} - Normalized days, ordered by date
+ */
+const listDays = async (userId, filters = {}) => {
+  const params = [userId];
+  const sql = appendFilters(
+    'SELECT id, day_date, theme, task_type, color_code, created_at, updated_at FROM calendar_days WHERE user_id = ? AND deleted_at IS NULL',
+    params,
+    'day_date',
+    filters
+  );
+
+  const days = await query(sql + ' ORDER BY day_date, id', params);
+  return days.map(normalizeEntry);
+};
+
+/**
+ * Entries as the older calendar routes return them: entries saved without a
+ * colour of their own get their day's mood
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { theme, from, to }, as for listEntries
+ * @returns {Promise<Array>}
+ */
+const listEntriesWithMood = async (userId, filters = {}) => {
+  const [entries, days] = await Promise.all([listEntries(userId, filters), listDays(userId, filters)]);
+
+  // mysql returns DATE columns as Date objects; key days by date and theme
+  const dayKey = (date, theme) => `${new Date(date).getTime()}|${theme}`;
+  const moods = new Map(days.map(day => [dayKey(day.day_date, day.theme), day]));
+
+  return entries.map(entry => {
+    const day = moods.get(dayKey(entry.task_date, entry.theme));
+    if (entry.color_code !== null || !day) {
+      return entry;
+    }
+    return { ...entry, task_type: day.task_type, color_code: day.color_code };
+  });
+};
+
+/**
+ * Add an entry to a day. Without a position it goes after the day's other
+ * entries for the theme.
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {Object} user - { id, name, email }
+ * @param {Object} fields - task_date, theme and task_description, plus any other CALENDAR_FIELDS
+ * @param {Object} [links] - Columns clients can't set: { series_id, recurrence_date } when the entry
+ *   replaces an occurrence of a repeating entry, { ical_uid } when it was imported
+ * @returns {Promise<Object>} - { id, position }
+ */
+const addEntry = async (run, user, fields, links = {}) => {
+  const { task_date, task_description, theme } = fields;
+  const color = canonicalColor(fields);
+  let { position } = fields;
+
+  if (position === undefined) {
+    const last = await run(
+      'SELECT MAX(position) AS position FROM calendar_entries WHERE user_id = ? AND task_date = ? AND theme = ? AND deleted_at IS NULL',
+      [user.id, task_date, theme]
+    );
+    position = last.length > 0 && last[0].position !== null ? last[0].position + 1 : 0;
+  }
+
+  const result = await run(
+    `INSERT INTO calendar_entries
+     (user_id, user_name, email, task_date, task_type, task_description, color_code, theme, position,
+      start_time, duration_minutes, completed, rrule, exdates, series_id, recurrence_date, ical_uid, vision_task_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id, user.name, user.email, task_date,
+      columnValue('task_type', color.task_type),
+      task_description,
+      columnValue('color_code', color.color_code),
+      theme, position,
+      columnValue('start_time', fields.start_time),
+      columnValue('duration_minutes', fields.duration_minutes),
+      fields.completed === true,
+      columnValue('rrule', fields.rrule),
+      columnValue('exdates', fields.exdates),
+      links.series_id || null,
+      links.recurrence_date || null,
+      links.ical_uid || null,
+      columnValue('vision_task_id', fields.vision_task_id)
+    ]
+  );
+  await recordChange(run, user.id, 'calendar_entries', result.insertId);
+  return { id: result.insertId, position };
+};
+
+/**
+ * Update the given fields of an entry
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @param {Object} fields - Any of CALENDAR_FIELDS; undefined fields are left as they are
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const updateEntry = async (run, userId, id, fields) => {
+  const values = { ...fields, ...canonicalColor(fields) };
+  const setClauses = [];
+  const params = [];
+
+  CALENDAR_FIELDS.forEach(field => {
+    if (values[field] !== undefined) {
+      setClauses.push(`${field} = ?`);
+      params.push(columnValue(field, values[field]));
+    }
+  });
+  setClauses.push('updated_at = NOW()');
+
+  const result = await run(
+    `UPDATE calendar_entries SET ${setClauses.join(', ')} WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+    [...params, id, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await recordChange(run, userId, 'calendar_entries', id);
+  return true;
+};
+
+// Move a repeating entry's edited occurrences to the trash, optionally only those from a date on
+const deleteOverrides = async (run, userId, seriesId, fromDate = null) => {
+  const overrides = await run(
+    `SELECT id FROM calendar_entries WHERE series_id = ? AND user_id = ? AND deleted_at IS NULL${fromDate ? ' AND recurrence_date >= ?' : ''}`,
+    fromDate ? [seriesId, userId, fromDate] : [seriesId, userId]
+  );
+
+  for (const override of overrides) {
+    await run('UPDATE calendar_entries SET deleted_at = NOW() WHERE id = ?', [override.id]);
+    await recordChange(run, userId, 'calendar_entries', override.id, 'delete');
+  }
+};
+
+/**
+ * Move an entry to the trash. For a repeating entry this removes every
+ * occurrence, including ones that were edited on their own.
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const deleteEntry = async (run, userId, id) => {
+  const result = await run(
+    'UPDATE calendar_entries SET deleted_at = NOW() WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [id, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await recordChange(run, userId, 'calendar_entries', id, 'delete');
+  await deleteOverrides(run, userId, id);
+  return true;
+};
+
+// Load a repeating entry for an edit or delete of some of its occurrences.
+// Returns { entry } when the scope applies to the whole entry, { error } if
+// the date isn't one of its occurrences, or { entry, rule, start, date }.
+const loadSeries = async (txQuery, userId, id, scope, date) => {
+  const entries = await txQuery(
+    'SELECT * FROM calendar_entries WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE',
+    [id, userId]
+  );
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const entry = { ...entries[0], exdates: parseExdates(entries[0].exdates) || [] };
+  const start = toDateString(entry.task_date);
+
+  // A single entry, or the series' first date with "following", is the whole entry
+  if (!entry.rrule || scope === 'all' || (scope === 'following' && date === start)) {
+    return { entry, whole: true };
+  }
+
+  const rule = parseRRule(entry.rrule);
+  if (!isOccurrence(start, rule, date, entry.exdates)) {
+    return { error: `${date} is not an occurrence of this entry` };
+  }
+
+  return { entry, rule, start, date };
+};
+
+// End a repeating entry before a date, keeping its earlier occurrences
+const endSeriesBefore = async (txQuery, userId, series) => {
+  const { entry, rule, date } = series;
+  const rrule = formatRRule({ ...rule, count: null, until: previousDay(date) });
+  const exdates = entry.exdates.filter(exdate => exdate < date);
+
+  await txQuery(
+    'UPDATE calendar_entries SET rrule = ?, exdates = ?, updated_at = NOW() WHERE id = ?',
+    [rrule, JSON.stringify(exdates), entry.id]
+  );
+  await recordChange(txQuery, userId, 'calendar_entries', entry.id);
+};
+
+// Remove one occurrence from a repeating entry
+const excludeOccurrence = async (txQuery, userId, series) => {
+  const exdates = [...series.entry.exdates, series.date].sort();
+  await txQuery(
+    'UPDATE calendar_entries SET exdates = ?, updated_at = NOW() WHERE id = ?',
+    [JSON.stringify(exdates), series.entry.id]
+  );
+  await recordChange(txQuery, userId, 'calendar_entries', series.entry.id);
+};
+
+// Fields an occurrence copied from a repeating entry starts with
+const copyEntryFields = (entry) => {
+  const fields = {};
+  ['task_type', 'task_description', 'color_code', 'theme', 'position', 'start_time', 'duration_minutes', 'vision_task_id'].forEach(field => {
+    fields[field] = entry[field];
+  });
+  return fields;
+};
+
+/**
+ * Edit an entry. For a repeating entry, scope chooses which occurrences change:
+ * - 'this': the occurrence on date becomes an entry of its own
+ * - 'following': the entry ends before date and a new repeating entry takes
+ *   over from date, with the edit applied
+ * - 'all': the repeating entry itself is edited
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {number} id - The entry's id
+ * @param {string} scope - 'this', 'following' or 'all' (see validateScope)
+ * @param {string} date - The occurrence's date, YYYY-MM-DD
+ * @param {Object} fields - Any of CALENDAR_FIELDS
+ * @returns {Promise<Object|null>} - { id } of the entry that now holds the edit, or
+ *   { error } if date isn't an occurrence; null if the entry doesn't exist
+ */
+const editOccurrences = (user, id, scope, date, fields) => {
+  return transaction(async (txQuery) => {
+    const series = await loadSeries(txQuery, user.id, id, scope, date);
+
+    if (!series || series.error) {
+      return series;
+    }
+
+    if (series.whole) {
+      await updateEntry(txQuery, user.id, id, fields);
+      return { id: series.entry.id };
+    }
+
+    const { entry, rule, start } = series;
+
+    if (scope === 'this') {
+      await excludeOccurrence(txQuery, user.id, series);
+      const { rrule, exdates, ...edit } = fields;
+      const added = await addEntry(
+        txQuery,
+        user,
+        { ...copyEntryFields(entry), task_date: date, ...edit },
+        { series_id: entry.id, recurrence_date: date }
+      );
+      return { id: added.id };
+    }
+
+    // The new entry repeats as many times as the old one had left
+    const remaining = rule.count ? rule.count - countOccurrencesBefore(start, rule, date) : null;
+    await endSeriesBefore(txQuery, user.id, series);
+
+    const added = await addEntry(txQuery, user, {
+      ...copyEntryFields(entry),
+      task_date: date,
+      rrule: formatRRule({ ...rule, count: remaining }),
+      exdates: entry.exdates.filter(exdate => exdate >= date),
+      ...fields
+    });
+
+    // Occurrences edited on their own now belong to the new entry
+    const moved = await txQuery(
+      'SELECT id FROM calendar_entries WHERE series_id = ? AND recurrence_date >= ? AND deleted_at IS NULL',
+      [entry.id, date]
+    );
+    for (const override of moved) {
+      await txQuery('UPDATE calendar_entries SET series_id = ? WHERE id = ?', [added.id, override.id]);
+      await recordChange(txQuery, user.id, 'calendar_entries', override.id);
+    }
+
+    return { id: added.id };
+  });
+};
+
+/**
+ * Delete an entry. For a repeating entry, scope chooses which occurrences
+ * go: 'this' removes the occurrence on date, 'following' ends the entry
+ * before date, and 'all' moves the entry to the trash.
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @param {string} scope - 'this', 'following' or 'all' (see validateScope)
+ * @param {string} date - The occurrence's date, YYYY-MM-DD
+ * @returns {Promise<Object|null>} - { id }, or { error } if date isn't an
+ *   occurrence; null if the entry doesn't exist
+ */
+const deleteOccurrences = (userId, id, scope, date) => {
+  return transaction(async (txQuery) => {
+    const series = await loadSeries(txQuery, userId, id, scope, date);
+
+    if (!series || series.error) {
+      return series;
+    }
+
+    if (series.whole) {
+      await deleteEntry(txQuery, userId, id);
+    } else if (scope === 'this') {
+      await excludeOccurrence(txQuery, userId, series);
+    } else {
+      await endSeriesBefore(txQuery, userId, series);
+      await deleteOverrides(txQuery, userId, id, date);
+    }
+
+    return { id: series.entry.id };
+  });
+};
+
+/**
+ * Put a day's entries in the given order
+ *
+ * @param {number} userId - The user's id
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} theme - The calendar theme
+ * @param {Array<number>} ids - Every entry id stored on the day, in the new order; repeating
+ *   entries keep their own position and aren't included
+ * @returns {Promise<boolean>} - false if ids isn't exactly the day's entries
+ */
+const reorderEntries = (userId, date, theme, ids) => {
+  return transaction(async (txQuery) => {
+    const entries = await txQuery(
+      'SELECT id, position FROM calendar_entries WHERE user_id = ? AND task_date = ? AND theme = ? AND rrule IS NULL AND deleted_at IS NULL FOR UPDATE',
+      [userId, date, theme]
+    );
+
+    const current = new Set(entries.map(entry => entry.id));
+    if (ids.length !== current.size || new Set(ids).size !== ids.length || !ids.every(id => current.has(id))) {
+      return false;
+    }
+
+    const positions = new Map(entries.map(entry => [entry.id, entry.position]));
+    for (const [position, id] of ids.entries()) {
+      if (positions.get(id) !== position) {
+        await txQuery('UPDATE calendar_entries SET position = ?, updated_at = NOW() WHERE id = ?', [position, id]);
+        await recordChange(txQuery, userId, 'calendar_entries', id);
+      }
+    }
+    return true;
+  });
+};
+
+/**
+ * Set a day's mood. A day keeps one row per theme, so clearing and setting
+ * the mood again reuses it.
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {number} userId - The user's id
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} theme - The calendar theme
+ * @param {Object} mood - { task_type, color_code }
+ * @returns {Promise<Object>} - { id, created }
+ */
+const setDayMood = async (run, userId, date, theme, mood) => {
+  const { task_type, color_code } = canonicalColor(mood);
+  const existing = await run(
+    'SELECT id FROM calendar_days WHERE user_id = ? AND day_date = ? AND theme = ? FOR UPDATE',
+    [userId, date, theme]
+  );
+
+  if (existing.length > 0) {
+    await run(
+      'UPDATE calendar_days SET task_type = ?, color_code = ?, deleted_at = NULL, updated_at = NOW() WHERE id = ?',
+      [task_type, color_code, existing[0].id]
+    );
+    await recordChange(run, userId, 'calendar_days', existing[0].id);
+    return { id: existing[0].id, created: false };
+  }
+
+  const result = await run(
+    'INSERT INTO calendar_days (user_id, day_date, theme, task_type, color_code) VALUES (?, ?, ?, ?, ?)',
+    [userId, date, theme, task_type, color_code]
+  );
+  await recordChange(run, userId, 'calendar_days', result.insertId);
+  return { id: result.insertId, created: true };
+};
+
+/**
+ * Clear a day's mood
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {number} userId - The user's id
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} theme - The calendar theme
+ * @returns {Promise<number|null>} - id of the cleared day, or null if it had no mood
+ */
+const clearDayMood = async (run, userId, date, theme) => {
+  const days = await run(
+    'SELECT id FROM calendar_days WHERE user_id = ? AND day_date = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE',
+    [userId, date, theme]
+  );
+
+  if (days.length === 0) {
+    return null;
+  }
+
+  await run('UPDATE calendar_days SET deleted_at = NOW() WHERE id = ?', [days[0].id]);
+  await recordChange(run, userId, 'calendar_days', days[0].id, 'delete');
+  return days[0].id;
+};
+
+/**
+ * What the older calendar routes do on save: add the entry and make its
+ * colour the day's mood
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {Object} fields - { task_date, task_type, task_description, color_code, theme }
+ * @returns {Promise<Object>} - { id, position }
+ */
+const addEntryWithMood = (user, fields) => {
+  return transaction(async (txQuery) => {
+    const entry = await addEntry(txQuery, user, fields);
+    await setDayMood(txQuery, user.id, fields.task_date, fields.theme, fields);
+    return entry;
+  });
+};
+
+/**
+ * What the older calendar routes do on update: update the entry and, if its
+ * colour changed, the mood of its day
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @param {Object} fields - Any of CALENDAR_FIELDS
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const updateEntryWithMood = (userId, id, fields) => {
+  return transaction(async (txQuery) => {
+    if (!await updateEntry(txQuery, userId, id, fields)) {
+      return false;
+    }
+
+    if (fields.task_type !== undefined && fields.color_code !== undefined) {
+      const entries = await txQuery('SELECT task_date, theme FROM calendar_entries WHERE id = ?', [id]);
+      await setDayMood(txQuery, userId, entries[0].task_date, entries[0].theme, fields);
+    }
+    return true;
+  });
+};
+
+module.exports = {
+  CALENDAR_FIELDS,
+  RECURRENCE_SCOPES,
+  MAX_DURATION_MINUTES,
+  MAX_RANGE_DAYS,
+  isValidDate,
+  yearRange,
+  validateEntryFields,
+  validateScope,
+  parseExdates,
+  normalizeEntry,
+  listEntries,
+  listStoredEntries,
+  listDays,
+  listEntriesWithMood,
+  addEntry,
+  updateEntry,
+  deleteEntry,
+  editOccurrences,
+  deleteOccurrences,
+  reorderEntries,
+  setDayMood,
+  clearDayMood,
+  addEntryWithMood,
+  updateEntryWithMood
+};
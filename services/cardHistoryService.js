@@ -0,0 +1,81 @@
+const { query, transaction } = require('../config/database');
+const { parseTasks, listCards } = require('./visionBoardService');
+const { writeVersionedCard } = require('./plannerCardService');
+
+// JSON columns come back from mysql as strings
+const parseJson = (value) => {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Find a user's live vision board card
+ *
+ * @param {number} userId - The user's id
+ * @param {string} cardId - The card (category) id
+ * @param {string} theme - The board theme
+ * @returns {Promise<Object|null>}
+ */
+const findCard = async (userId, cardId, theme) => {
+  const cards = await listCards(userId, { category: cardId, theme });
+  return cards.length > 0 ? cards[0] : null;
+};
+
+/**
+ * List a card's revisions, newest first. Each revision holds the card's
+ * tasks and version as they were before a save.
+ *
+ * @param {number} cardRowId - vision_board_tasks.id of the card
+ * @returns {Promise<Array>}
+ */
+const listRevisions = async (cardRowId) => {
+  const revisions = await query(
+    'SELECT id, version, tasks, summary, source, user_id, created_at FROM vision_board_revisions WHERE card_row_id = ? ORDER BY id DESC',
+    [cardRowId]
+  );
+
+  return revisions.map(revision => ({
+    ...revision,
+    tasks: parseTasks(revision.tasks),
+    summary: parseJson(revision.summary)
+  }));
+};
+
+/**
+ * Put a card back to the tasks stored in one of its revisions. The restore
+ * is itself a save, so it adds a revision and can be undone the same way.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {Object} card - The card, from findCard
+ * @param {number} revisionId - The revision to restore
+ * @param {number|null} expectedVersion - Card version the client last loaded, if it sent one
+ * @returns {Promise<Object|null>} - Result of writeVersionedCard, or null if the revision doesn't belong to the card
+ */
+const restoreRevision = (user, card, revisionId, expectedVersion) => {
+  return transaction(async (txQuery) => {
+    const revisions = await txQuery(
+      'SELECT tasks FROM vision_board_revisions WHERE id = ? AND card_row_id = ?',
+      [revisionId, card.id]
+    );
+
+    if (revisions.length === 0) {
+      return null;
+    }
+
+    return writeVersionedCard(txQuery, {
+      table: 'vision_board_tasks',
+      user,
+      cardId: card.card_id,
+      theme: card.theme,
+      tasks: parseTasks(revisions[0].tasks),
+      expectedVersion,
+      requireVersion: false,
+      source: 'history_restore'
+    });
+  });
+};
+
+module.exports = {
+  findCard,
+  listRevisions,
+  restoreRevision
+};
@@ -0,0 +1,163 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Revisions kept per vision board card; older ones are dropped
+const VISION_BOARD_REVISION_LIMIT = parseInt(process.env.VISION_BOARD_REVISION_LIMIT, 10) || 50;
+
+// Entity type used by /api/sync for each planner table
+const SYNC_ENTITY_TYPES = {
+  vision_board_tasks: 'vision_board',
+  weekly_planner_tasks: 'weekly_planner',
+  annual_calendar_tasks: 'annual_calendar',
+  calendar_entries: 'calendar',
+  calendar_days: 'calendar_day',
+  mind_tools_activity: 'mind_tools'
+};
+
+// Planner table for each sync entity type
+const SYNC_TABLES = {};
+Object.entries(SYNC_ENTITY_TYPES).forEach(([table, type]) => {
+  SYNC_TABLES[type] = table;
+});
+
+// Tasks are matched by id; tasks saved without one are matched by content
+const taskKey = (task) => {
+  return task && task.id !== undefined && task.id !== null ? `id:${task.id}` : `json:${JSON.stringify(task)}`;
+};
+
+/**
+ * Record that a planner row was written or deleted, so /api/sync can send it
+ * to the user's other devices. Pass a transaction's txQuery when the write is
+ * part of one, so the change is only recorded if the write commits.
+ *
+ * @param {Function} run - query, or a transaction's txQuery
+ * @param {number} userId - Owner of the row
+ * @param {string} table - Planner table the row is in
+ * @param {number} rowId - The row's id
+ * @param {string} [operation] - 'upsert' or 'delete'
+ * @returns {Promise}
+ */
+const recordChange = (run, userId, table, rowId, operation = 'upsert') => {
+  const entityType = SYNC_ENTITY_TYPES[table];
+  if (!entityType) {
+    throw new Error(`Unsupported sync table: ${table}`);
+  }
+
+  return run(
+    'INSERT INTO sync_changes (user_id, entity_type, entity_id, operation) VALUES (?, ?, ?, ?)',
+    [userId, entityType, rowId, operation]
+  );
+};
+
+/**
+ * Copy tasks that a save removes from a card into deleted_card_tasks, so
+ * they show up in the trash and can be restored
+ *
+ * @param {Function} txQuery - Query function of the transaction saving the card
+ * @param {number} userId - Owner of the card
+ * @param {string} table - Card table
+ * @param {number} cardRowId - The card's row id
+ * @param {Array} oldTasks - Tasks before the save
+ * @param {Array} newTasks - Tasks after the save
+ * @returns {Promise<number>} - Number of tasks moved to the trash
+ */
+const trashRemovedTasks = async (txQuery, userId, table, cardRowId, oldTasks, newTasks) => {
+  const kept = new Set(newTasks.map(taskKey));
+  const removed = oldTasks
+    .map((task, position) => ({ task, position }))
+    .filter(({ task }) => !kept.has(taskKey(task)));
+
+  for (const { task, position } of removed) {
+    await txQuery(
+      'INSERT INTO deleted_card_tasks (user_id, entity_type, card_row_id, task, position) VALUES (?, ?, ?, ?, ?)',
+      [userId, SYNC_ENTITY_TYPES[table], cardRowId, JSON.stringify(task), position]
+    );
+  }
+
+  return removed.length;
+};
+
+/**
+ * Summarize how a save changed a card's tasks
+ *
+ * @param {Array} oldTasks - Tasks before the save
+ * @param {Array} newTasks - Tasks after the save
+ * @returns {Object} - { added, removed, completed, reopened, edited, reordered }
+ */
+const summarizeTaskChanges = (oldTasks, newTasks) => {
+  const oldByKey = new Map(oldTasks.map(task => [taskKey(task), task]));
+  const newKeys = new Set(newTasks.map(taskKey));
+  const summary = { added: 0, removed: 0, completed: 0, reopened: 0, edited: 0, reordered: false };
+
+  newTasks.forEach(task => {
+    const before = oldByKey.get(taskKey(task));
+    if (!before) {
+      summary.added++;
+      return;
+    }
+    if (!before.completed && task.completed) {
+      summary.completed++;
+    } else if (before.completed && !task.completed) {
+      summary.reopened++;
+    }
+    if (before.text !== task.text) {
+      summary.edited++;
+    }
+  });
+
+  summary.removed = oldTasks.filter(task => !newKeys.has(taskKey(task))).length;
+
+  // Tasks on both sides, compared in order
+  const oldOrder = oldTasks.map(taskKey).filter(key => newKeys.has(key));
+  const newOrder = newTasks.map(taskKey).filter(key => oldByKey.has(key));
+  summary.reordered = oldOrder.some((key, index) => key !== newOrder[index]);
+
+  return summary;
+};
+
+/**
+ * Store a vision board card as it was before a save, then drop revisions
+ * beyond VISION_BOARD_REVISION_LIMIT. Other card tables don't keep history,
+ * and saves that leave the tasks unchanged are skipped.
+ *
+ * @param {Function} txQuery - Query function of the transaction saving the card
+ * @param {number} userId - The user making the change
+ * @param {string} table - Card table
+ * @param {Object} card - The card row before the save ({ id, version })
+ * @param {Array} oldTasks - Tasks before the save
+ * @param {Array} newTasks - Tasks after the save
+ * @param {string} source - What made the change, e.g. 'tasks_save' or 'sync'
+ * @returns {Promise}
+ */
+const recordRevision = async (txQuery, userId, table, card, oldTasks, newTasks, source) => {
+  if (table !== 'vision_board_tasks' || JSON.stringify(oldTasks) === JSON.stringify(newTasks)) {
+    return;
+  }
+
+  await txQuery(
+    'INSERT INTO vision_board_revisions (card_row_id, user_id, version, tasks, summary, source) VALUES (?, ?, ?, ?, ?, ?)',
+    [card.id, userId, card.version, JSON.stringify(oldTasks), JSON.stringify(summarizeTaskChanges(oldTasks, newTasks)), source]
+  );
+
+  const oldest = await txQuery(
+    'SELECT id FROM vision_board_revisions WHERE card_row_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?',
+    [card.id, VISION_BOARD_REVISION_LIMIT - 1]
+  );
+
+  if (oldest.length > 0) {
+    await txQuery(
+      'DELETE FROM vision_board_revisions WHERE card_row_id = ? AND id < ?',
+      [card.id, oldest[0].id]
+    );
+  }
+};
+
+module.exports = {
+  SYNC_ENTITY_TYPES,
+  SYNC_TABLES,
+  recordChange,
+  trashRemovedTasks,
+  recordRevision
+};
@@ -180,6 +180,196 @@ To unsubscribe from these emails, reply with "Unsubscribe" in the subject line.
   }
 };
 
+/**
+ * Send an account email (password reset, verification, ...) from the support address
+ * 
+ * @param {Object} mailOptions - Nodemailer options; `from` and `replyTo` default to support
+ * @returns {Promise} - Resolves with the nodemailer info when the email is sent
+ */
+const deliverEmail = async (mailOptions) => {
+  const emailTransporter = await initializeTransporter();
+  
+  const senderEmail = 'ashika@reconstructyourmind.com';
+  const options = {
+    from: `Team Reconstruct <${senderEmail}>`,
+    replyTo: process.env.SUPPORT_EMAIL || senderEmail,
+    ...mailOptions
+  };
+  
+  console.log('Sending email with options:', {
+    from: options.from,
+    to: options.to,
+    subject: options.subject
+  });
+  
+  const info = await emailTransporter.sendMail(options);
+  console.log('Email sent successfully:', info.messageId);
+  
+  // If using Ethereal, show preview URL
+  if (info.messageId && nodemailer.getTestMessageUrl(info)) {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    console.log('Preview URL for test email:', previewUrl);
+    info.testMessageUrl = previewUrl;
+  }
+  
+  return info;
+};
+
+/**
+ * Send a password reset link
+ * 
+ * @param {string} userEmail - The recipient's email
+ * @param {string} userName - The user's name
+ * @param {string} resetUrl - Link containing the one-time reset token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise} - Resolves when email is sent
+ */
+const sendPasswordResetEmail = async (userEmail, userName, resetUrl, expiresInMinutes) => {
+  try {
+    console.log(`Preparing password reset email for ${userEmail}`);
+    
+    return await deliverEmail({
+      to: userEmail,
+      subject: 'Reset your Reconstruct password',
+      text: `
+Hi ${userName},
+
+We received a request to reset the password for your Reconstruct account.
+
+Reset your password here: ${resetUrl}
+
+This link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask to reset your password, you can ignore this email.
+
+Team Reconstruct
+      `,
+      html: `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Reset your password</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; line-height: 1.5; color: #333;">
+          <p>Hi ${userName},</p>
+          <p>We received a request to reset the password for your Reconstruct account.</p>
+          <p><a href="${resetUrl}" style="color: #2a5885;">Reset your password</a></p>
+          <p>This link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask to reset your password, you can ignore this email.</p>
+          <p style="margin-top: 30px; color: #666; font-size: 14px;">💙 Team Reconstruct</p>
+        </body>
+        </html>
+      `
+    });
+  } catch (error) {
+    console.error('Error in sendPasswordResetEmail function:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an email address verification link
+ * 
+ * @param {string} userEmail - The address to verify
+ * @param {string} userName - The user's name
+ * @param {string} verifyUrl - Link containing the one-time verification token
+ * @returns {Promise} - Resolves when email is sent
+ */
+const sendVerificationEmail = async (userEmail, userName, verifyUrl) => {
+  try {
+    console.log(`Preparing verification email for ${userEmail}`);
+    
+    return await deliverEmail({
+      to: userEmail,
+      subject: 'Confirm your email for Reconstruct',
+      text: `
+Hi ${userName},
+
+Please confirm that this is your email address by opening the link below:
+
+${verifyUrl}
+
+If you didn't create a Reconstruct account, you can ignore this email.
+
+Team Reconstruct
+      `,
+      html: `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm your email</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; line-height: 1.5; color: #333;">
+          <p>Hi ${userName},</p>
+          <p>Please confirm that this is your email address.</p>
+          <p><a href="${verifyUrl}" style="color: #2a5885;">Confirm my email</a></p>
+          <p>If you didn't create a Reconstruct account, you can ignore this email.</p>
+          <p style="margin-top: 30px; color: #666; font-size: 14px;">💙 Team Reconstruct</p>
+        </body>
+        </html>
+      `
+    });
+  } catch (error) {
+    console.error('Error in sendVerificationEmail function:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send the download link for a finished data export
+ * 
+ * @param {string} userEmail - The recipient's email
+ * @param {string} userName - The user's name
+ * @param {string} downloadUrl - Link to download the export archive
+ * @param {number} expiresInDays - How long the link stays valid
+ * @returns {Promise} - Resolves when email is sent
+ */
+const sendExportReadyEmail = async (userEmail, userName, downloadUrl, expiresInDays) => {
+  try {
+    console.log(`Preparing export ready email for ${userEmail}`);
+    
+    return await deliverEmail({
+      to: userEmail,
+      subject: 'Your Reconstruct data export is ready',
+      text: `
+Hi ${userName},
+
+The copy of your Reconstruct data you asked for is ready. Download it here:
+
+${downloadUrl}
+
+The link expires in ${expiresInDays} days. If you didn't request an export, please contact support.
+
+Team Reconstruct
+      `,
+      html: `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your data export is ready</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; line-height: 1.5; color: #333;">
+          <p>Hi ${userName},</p>
+          <p>The copy of your Reconstruct data you asked for is ready.</p>
+          <p><a href="${downloadUrl}" style="color: #2a5885;">Download your data</a></p>
+          <p>The link expires in ${expiresInDays} days. If you didn't request an export, please contact support.</p>
+          <p style="margin-top: 30px; color: #666; font-size: 14px;">💙 Team Reconstruct</p>
+        </body>
+        </html>
+      `
+    });
+  } catch (error) {
+    console.error('Error in sendExportReadyEmail function:', error);
+    throw error;
+  }
+};
+
 module.exports = {
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendExportReadyEmail
 };
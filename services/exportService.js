@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { query } = require('../config/database');
+const { hashToken } = require('./tokenService');
+const { sendExportReadyEmail } = require('./emailService');
+
+// Finished background exports can be downloaded for this long
+const EXPORT_DOWNLOAD_TTL_DAYS = 7;
+
+// Every file in an export, in the order it appears in the manifest.
+// Rows in the trash are included, with deleted_at set.
+const EXPORT_FILES = [
+  {
+    name: 'profile',
+    description: 'Account details from the user table (password hash excluded)',
+    sql: 'SELECT id, name, email, email_verified, created_at FROM user WHERE id = ?'
+  },
+  {
+    name: 'vision_board_tasks',
+    description: 'Vision board cards; `tasks` is the JSON list of tasks on each card',
+    sql: 'SELECT id, card_id, theme, tasks, created_at, updated_at, deleted_at FROM vision_board_tasks WHERE user_id = ? ORDER BY id'
+  },
+  {
+    name: 'weekly_planner_tasks',
+    description: 'Weekly planner cards; `tasks` is the JSON list of tasks on each card. A task with a `vision_task_id` is an action towards that vision board task',
+    sql: 'SELECT id, card_id, iso_week, weekday, theme, tasks, created_at, updated_at, deleted_at FROM weekly_planner_tasks WHERE user_id = ? ORDER BY id'
+  },
+  {
+    name: 'annual_calendar_tasks',
+    description: 'Annual calendar cards; `tasks` is the JSON list of tasks on each card',
+    sql: 'SELECT id, card_id, theme, tasks, created_at, updated_at, deleted_at FROM annual_calendar_tasks WHERE user_id = ? ORDER BY id'
+  },
+  {
+    name: 'calendar_entries',
+    description: 'Daily calendar entries with their date, order within the day, time, duration, colour type and description. Repeating entries have an `rrule` and removed dates in `exdates`; an occurrence edited on its own has the `series_id` and `recurrence_date` it replaces. `vision_task_id` links an entry to a vision board task',
+    sql: 'SELECT id, task_date, position, start_time, duration_minutes, completed, rrule, exdates, series_id, recurrence_date, ical_uid, vision_task_id, task_type, task_description, color_code, theme, created_at, updated_at, deleted_at FROM calendar_entries WHERE user_id = ? ORDER BY task_date, position, id'
+  },
+  {
+    name: 'calendar_days',
+    description: 'The mood (colour type) set for each calendar day',
+    sql: 'SELECT id, day_date, theme, task_type, color_code, created_at, updated_at, deleted_at FROM calendar_days WHERE user_id = ? ORDER BY day_date, id'
+  },
+  {
+    name: 'mind_tools_activity',
+    description: 'Daily usage counts for each mind tool',
+    sql: 'SELECT tracker_type, activity_date, count, deleted_at FROM mind_tools_activity WHERE user_id = ? ORDER BY activity_date, tracker_type'
+  },
+  {
+    name: 'mood_entries',
+    description: 'The mood log: a mood from 1 (awful) to 5 (great) with tags and a note, at the local `logged_at` time. Entries with a `calendar_day_id` were created from a calendar day mood',
+    sql: 'SELECT id, mood, tags, note, logged_at, calendar_day_id, created_at, updated_at FROM mood_entries WHERE user_id = ? ORDER BY logged_at, id'
+  },
+  {
+    name: 'journal_entries',
+    description: 'Journal entries with their title, body, tags and the date they were written for; `mood_entry_id` and `prompt_id` are the mood entry and daily prompt they go with',
+    sql: 'SELECT id, entry_date, title, body, tags, mood_entry_id, prompt_id, created_at, updated_at FROM journal_entries WHERE user_id = ? ORDER BY entry_date, id'
+  },
+  {
+    name: 'deleted_card_tasks',
+    description: 'Tasks removed from cards that are still in the trash; `card_row_id` is the id of the card they were on',
+    sql: 'SELECT id, entity_type, card_row_id, task, position, deleted_at FROM deleted_card_tasks WHERE user_id = ? ORDER BY deleted_at, id'
+  },
+  {
+    name: 'vision_board_revisions',
+    description: 'Earlier versions of vision board cards; `tasks` is the card as it was before the save at `created_at`',
+    sql: 'SELECT id, card_row_id, version, tasks, summary, source, created_at FROM vision_board_revisions WHERE user_id = ? ORDER BY card_row_id, id'
+  }
+];
+
+/**
+ * Load every record that belongs to a user
+ *
+ * @param {Object} user - { id }
+ * @returns {Promise<Object>} - Rows keyed by export file name
+ */
+const collectUserData = async (user) => {
+  const data = {};
+
+  for (const file of EXPORT_FILES) {
+    data[file.name] = await query(file.sql, [user.id]);
+  }
+
+  return data;
+};
+
+/**
+ * Count the records an export would contain, to decide whether to run it in the background
+ *
+ * @param {Object} user - { id }
+ * @returns {Promise<number>}
+ */
+const countUserRecords = async (user) => {
+  let total = 0;
+
+  for (const file of EXPORT_FILES) {
+    const result = await query(
+      `SELECT COUNT(*) AS count FROM (${file.sql}) AS export_rows`,
+      [user.id]
+    );
+    total += result[0].count;
+  }
+
+  return total;
+};
+
+// Describe each file of an export
+const buildManifest = (user, data, format, extension) => {
+  return {
+    generated_at: new Date().toISOString(),
+    user_id: user.id,
+    format,
+    files: EXPORT_FILES.map(file => ({
+      name: `${file.name}.${extension}`,
+      description: file.description,
+      records: data[file.name].length
+    }))
+  };
+};
+
+/**
+ * Build the JSON variant: one document with the manifest and every file
+ *
+ * @param {Object} user - { id }
+ * @param {Object} data - Output of collectUserData
+ * @returns {Object}
+ */
+const buildJsonExport = (user, data) => {
+  const files = {};
+  EXPORT_FILES.forEach(file => {
+    files[`${file.name}.json`] = data[file.name].map(parseJsonColumns);
+  });
+
+  return {
+    manifest: buildManifest(user, data, 'json', 'json'),
+    files
+  };
+};
+
+/**
+ * Build the CSV variant: a zip with manifest.json and one CSV per file
+ *
+ * @param {Object} user - { id }
+ * @param {Object} data - Output of collectUserData
+ * @returns {Promise<Buffer>} - The zip archive
+ */
+const buildCsvZip = (user, data) => {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+
+    const manifest = buildManifest(user, data, 'csv', 'csv');
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+    EXPORT_FILES.forEach(file => {
+      archive.append(toCsv(data[file.name]), { name: `${file.name}.csv` });
+    });
+
+    archive.finalize();
+  });
+};
+
+/**
+ * Build an export in the requested format
+ *
+ * @param {Object} user - { id }
+ * @param {string} format - 'json' or 'zip'
+ * @returns {Promise<Object>} - { fileName, contentType, body }
+ */
+const buildExport = async (user, format) => {
+  const data = await collectUserData(user);
+
+  if (format === 'zip') {
+    return {
+      fileName: 'reconstruct-export.zip',
+      contentType: 'application/zip',
+      body: await buildCsvZip(user, data)
+    };
+  }
+
+  return {
+    fileName: 'reconstruct-export.json',
+    contentType: 'application/json',
+    body: Buffer.from(JSON.stringify(buildJsonExport(user, data), null, 2))
+  };
+};
+
+/**
+ * Queue an export to be built in the background; the user is emailed a
+ * download link when it is ready
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} format - 'json' or 'zip'
+ * @param {string} downloadBaseUrl - Base URL of the download endpoint
+ * @returns {Promise<string>} - The job id
+ */
+const createExportJob = async (user, format, downloadBaseUrl) => {
+  const jobId = crypto.randomUUID();
+
+  await query(
+    'INSERT INTO export_jobs (id, user_id, format, status) VALUES (?, ?, ?, ?)',
+    [jobId, user.id, format, 'pending']
+  );
+
+  setImmediate(() => {
+    runExportJob(jobId, user, format, downloadBaseUrl).catch(error => {
+      console.error(`Export job ${jobId} failed:`, error);
+    });
+  });
+
+  return jobId;
+};
+
+const runExportJob = async (jobId, user, format, downloadBaseUrl) => {
+  await query('UPDATE export_jobs SET status = ? WHERE id = ?', ['running', jobId]);
+
+  const downloadToken = crypto.randomBytes(32).toString('hex');
+
+  try {
+    const result = await buildExport(user, format);
+    const expiresAt = new Date(Date.now() + EXPORT_DOWNLOAD_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await query(
+      `UPDATE export_jobs SET status = ?, file_name = ?, content_type = ?, archive = ?, 
+       download_token_hash = ?, completed_at = NOW(), expires_at = ? WHERE id = ?`,
+      ['completed', result.fileName, result.contentType, result.body, hashToken(downloadToken), expiresAt, jobId]
+    );
+  } catch (error) {
+    await query(
+      'UPDATE export_jobs SET status = ?, error = ? WHERE id = ?',
+      ['failed', error.message, jobId]
+    );
+    throw error;
+  }
+
+  console.log(`Export job ${jobId} completed for user ${user.id}`);
+
+  // A failed email is logged by the caller; the job itself stays completed
+  const downloadUrl = `${downloadBaseUrl}/${jobId}/download?token=${downloadToken}`;
+  await sendExportReadyEmail(user.email, user.name, downloadUrl, EXPORT_DOWNLOAD_TTL_DAYS);
+};
+
+/**
+ * Get the status of a user's export job
+ *
+ * @param {string} jobId - The job id
+ * @param {number} userId - The job must belong to this user
+ * @returns {Promise<Object|null>}
+ */
+const getExportJob = async (jobId, userId) => {
+  const jobs = await query(
+    'SELECT id, format, status, error, created_at, completed_at, expires_at FROM export_jobs WHERE id = ? AND user_id = ?',
+    [jobId, userId]
+  );
+  return jobs.length > 0 ? jobs[0] : null;
+};
+
+/**
+ * Get a finished export archive using the token from the emailed link
+ *
+ * @param {string} jobId - The job id
+ * @param {string} token - The download token
+ * @returns {Promise<Object|null>} - { fileName, contentType, body }, or null if invalid or expired
+ */
+const getExportDownload = async (jobId, token) => {
+  const jobs = await query(
+    `SELECT file_name, content_type, archive FROM export_jobs 
+     WHERE id = ? AND status = 'completed' AND download_token_hash = ? AND expires_at > NOW()`,
+    [jobId, hashToken(token)]
+  );
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return {
+    fileName: jobs[0].file_name,
+    contentType: jobs[0].content_type,
+    body: jobs[0].archive
+  };
+};
+
+// JSON columns (`tasks`, `task`, `summary`) come back from mysql as strings; export them as real JSON
+const parseJsonColumns = (row) => {
+  const parsed = { ...row };
+
+  ['tasks', 'task', 'summary', 'exdates'].forEach(column => {
+    if (typeof parsed[column] !== 'string') {
+      return;
+    }
+    try {
+      parsed[column] = JSON.parse(parsed[column]);
+    } catch (error) {
+      // Leave malformed values as they are
+    }
+  });
+
+  return parsed;
+};
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  countUserRecords,
+  buildExport,
+  createExportJob,
+  getExportJob,
+  getExportDownload
+};
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Google publishes the certificates that sign Firebase ID tokens here
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Keys are cached for as long as Google's Cache-Control header allows
+let cachedKeys = null;
+let cachedKeysExpireAt = 0;
+
+/**
+ * Default key source: fetch Google's public signing certificates
+ *
+ * @returns {Promise<Object>} - { keys: { kid: pem }, maxAgeSeconds }
+ */
+const fetchGoogleKeys = async () => {
+  const response = await axios.get(FIREBASE_CERTS_URL, { timeout: 10000 });
+  const cacheControl = response.headers['cache-control'] || '';
+  const maxAgeMatch = cacheControl.match(/max-age=(\d+)/);
+
+  return {
+    keys: response.data,
+    maxAgeSeconds: maxAgeMatch ? parseInt(maxAgeMatch[1], 10) : 3600
+  };
+};
+
+let keySource = fetchGoogleKeys;
+
+/**
+ * Replace the source of signing keys (e.g. fixed keys in tests)
+ *
+ * @param {Function} source - Async function resolving to { keys, maxAgeSeconds }
+ */
+const setKeySource = (source) => {
+  keySource = source || fetchGoogleKeys;
+  cachedKeys = null;
+  cachedKeysExpireAt = 0;
+};
+
+/**
+ * Get the signing keys, refreshing the cache when expired or forced
+ *
+ * @param {boolean} [forceRefresh] - Ignore the cache
+ * @returns {Promise<Object>} - Map of key id to PEM certificate
+ */
+const getSigningKeys = async (forceRefresh = false) => {
+  if (!forceRefresh && cachedKeys && Date.now() < cachedKeysExpireAt) {
+    return cachedKeys;
+  }
+
+  const { keys, maxAgeSeconds } = await keySource();
+  cachedKeys = keys;
+  cachedKeysExpireAt = Date.now() + (maxAgeSeconds || 0) * 1000;
+  return cachedKeys;
+};
+
+const invalidToken = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_ID_TOKEN';
+  return error;
+};
+
+/**
+ * Verify a Firebase ID token and return its claims
+ *
+ * @param {string} idToken - The ID token from the Firebase client SDK
+ * @param {Object} [options] - { projectId } overrides FIREBASE_PROJECT_ID
+ * @returns {Promise<Object>} - { uid, email, emailVerified, name, claims }
+ */
+const verifyIdToken = async (idToken, options = {}) => {
+  const projectId = options.projectId || process.env.FIREBASE_PROJECT_ID;
+  if (!projectId) {
+    throw new Error('FIREBASE_PROJECT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw invalidToken('Malformed ID token');
+  }
+
+  if (decoded.header.alg !== 'RS256') {
+    throw invalidToken('Unexpected ID token algorithm');
+  }
+
+  // Google rotates keys; refetch once if the key id is unknown
+  let keys = await getSigningKeys();
+  if (!keys[decoded.header.kid]) {
+    keys = await getSigningKeys(true);
+  }
+
+  const publicKey = keys[decoded.header.kid];
+  if (!publicKey) {
+    throw invalidToken('ID token signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256'],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`
+    });
+  } catch (error) {
+    throw invalidToken(`ID token verification failed: ${error.message}`);
+  }
+
+  if (typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > 128) {
+    throw invalidToken('ID token has an invalid subject');
+  }
+
+  if (typeof claims.auth_time !== 'number' || claims.auth_time * 1000 > Date.now()) {
+    throw invalidToken('ID token has an invalid auth_time');
+  }
+
+  if (!claims.email) {
+    throw invalidToken('ID token does not contain an email');
+  }
+
+  return {
+    uid: claims.sub,
+    email: claims.email,
+    emailVerified: claims.email_verified === true,
+    name: claims.name || null,
+    claims
+  };
+};
+
+module.exports = {
+  verifyIdToken,
+  setKeySource
+};
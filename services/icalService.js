@@ -0,0 +1,360 @@
+const { toDateString, parseRRule, formatRRule } = require('./recurrenceService');
+
+// UIDs use a fixed domain so they stay the same wherever the API is hosted;
+// calendar apps match re-imported events on UID
+const UID_DOMAIN = 'reconstrect-api.onrender.com';
+
+const PRODUCT_ID = '-//Reconstrect//Calendar//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const compactDate = (date) => toDateString(date).replace(/-/g, '');
+
+// HH:MM[:SS] as HHMMSS
+const compactTime = (time) => {
+  const [hours, minutes, seconds = '00'] = String(time).split(':');
+  return `${hours}${minutes}${seconds}`;
+};
+
+// A timestamp as a UTC DATE-TIME, e.g. 20261019T083000Z
+const utcStamp = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Stable UID of a calendar entry
+ *
+ * @param {number} id - calendar_entries.id
+ * @returns {string}
+ */
+const entryUid = (id) => `calendar-entry-${id}@${UID_DOMAIN}`;
+
+/**
+ * Stable UID of a dated task on an annual calendar card
+ *
+ * @param {number} cardRowId - annual_calendar_tasks.id
+ * @param {string} taskId - The task's id on the card
+ * @returns {string}
+ */
+const annualTaskUid = (cardRowId, taskId) => `annual-${cardRowId}-${taskId}@${UID_DOMAIN}`;
+
+// Start (and end or duration) lines of an event. Entries with a time are
+// floating local times, as the app has no time zone for them.
+const timingLines = (date, startTime, durationMinutes) => {
+  if (!startTime) {
+    const next = new Date(`${toDateString(date)}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return [
+      `DTSTART;VALUE=DATE:${compactDate(date)}`,
+      `DTEND;VALUE=DATE:${compactDate(next.toISOString())}`
+    ];
+  }
+
+  const lines = [`DTSTART:${compactDate(date)}T${compactTime(startTime)}`];
+  if (durationMinutes) {
+    lines.push(`DURATION:PT${durationMinutes}M`);
+  }
+  return lines;
+};
+
+// Occurrence dates (RECURRENCE-ID, EXDATE) use the same value type as DTSTART
+const occurrenceValue = (date, startTime) => {
+  return startTime ? `${compactDate(date)}T${compactTime(startTime)}` : compactDate(date);
+};
+
+const occurrenceProperty = (name, date, startTime) => {
+  return startTime ? `${name}:${occurrenceValue(date, startTime)}` : `${name};VALUE=DATE:${occurrenceValue(date, startTime)}`;
+};
+
+// UNTIL must have the same value type as DTSTART as well
+const ruleForStart = (rrule, startTime) => {
+  const rule = formatRRule(parseRRule(rrule));
+  return startTime ? rule.replace(/UNTIL=(\d{8})/, 'UNTIL=$1T235959') : rule;
+};
+
+/**
+ * Lines of a VEVENT for a calendar entry. Pass the repeating entry's id and
+ * start time as series for an occurrence that was edited on its own.
+ *
+ * @param {Object} entry - calendar_entries row, with exdates parsed
+ * @param {Object} [series] - { id, ical_uid, start_time } of the repeating entry the entry replaces an occurrence of
+ * @returns {Array<string>}
+ */
+const entryEvent = (entry, series = null) => {
+  const uidSource = series || entry;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uidSource.ical_uid || entryUid(uidSource.id)}`,
+    `DTSTAMP:${utcStamp(entry.updated_at || entry.created_at || new Date())}`
+  ];
+
+  if (series) {
+    lines.push(occurrenceProperty('RECURRENCE-ID', entry.recurrence_date, series.start_time));
+  }
+
+  lines.push(...timingLines(entry.task_date, entry.start_time, entry.duration_minutes));
+
+  if (entry.rrule) {
+    lines.push(`RRULE:${ruleForStart(entry.rrule, entry.start_time)}`);
+    (entry.exdates || []).forEach(date => {
+      lines.push(occurrenceProperty('EXDATE', date, entry.start_time));
+    });
+  }
+
+  lines.push(`SUMMARY:${escapeText(entry.task_description)}`);
+  if (entry.theme) {
+    lines.push(`CATEGORIES:${escapeText(entry.theme)}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Lines of an all-day VEVENT for a dated annual calendar task
+ *
+ * @param {Object} card - annual_calendar_tasks row
+ * @param {Object} task - A task on the card with a YYYY-MM-DD date
+ * @returns {Array<string>}
+ */
+const annualTaskEvent = (card, task) => {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${annualTaskUid(card.id, task.id)}`,
+    `DTSTAMP:${utcStamp(card.updated_at || card.created_at || new Date())}`,
+    ...timingLines(task.date),
+    `SUMMARY:${escapeText(task.text)}`,
+    `CATEGORIES:${escapeText(card.card_id)}`,
+    'END:VEVENT'
+  ];
+};
+
+/**
+ * Build a VCALENDAR document
+ *
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array<Array<string>>} events - Event lines, from entryEvent and annualTaskEvent
+ * @returns {string} - The .ics text, with CRLF line endings
+ */
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Undo escapeText
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const unescapeText = (value) => {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+// Split "NAME;PARAM=a;PARAM2="b:c":value" into its parts; quoted parameter values may contain ; and :
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  const separators = [];
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === ';') {
+      separators.push(index);
+    } else if (!inQuotes && char === ':') {
+      const head = line.slice(0, index);
+      const cuts = [0, ...separators.map(position => position + 1)];
+      const pieces = cuts.map((start, i) => head.slice(start, i + 1 < cuts.length ? cuts[i + 1] - 1 : head.length));
+      const params = {};
+      pieces.slice(1).forEach(piece => {
+        const [key, ...rest] = piece.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      });
+      return { name: pieces[0].toUpperCase(), params, value: line.slice(index + 1) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ *
+ * @param {string} value - e.g. 20261019, 20261019T070000 or 20261019T070000Z
+ * @param {Object} params - The property's parameters (TZID, VALUE)
+ * @returns {Object|null} - { date, time, utc, tzid }; time is null for all-day values
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours ? `${hours}:${minutes}:${seconds}` : null,
+    utc: Boolean(utc),
+    tzid: params.TZID || null
+  };
+};
+
+/**
+ * Parse a DURATION value, e.g. PT1H30M or P1D
+ *
+ * @param {string} value
+ * @returns {number|null} - Minutes, or null if invalid
+ */
+const parseDuration = (value) => {
+  const match = /^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match || value.trim() === 'P' || value.trim().endsWith('T')) {
+    return null;
+  }
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => parseInt(part, 10) || 0);
+  return (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60) + Number(minutes) + Math.floor(Number(seconds) / 60);
+};
+
+/**
+ * Read the VEVENTs of an .ics document. Only the properties the calendar can
+ * use are kept; nested components such as VALARM are ignored.
+ *
+ * @param {string} text - The .ics file
+ * @returns {Array<Object>} - Events: { uid, summary, start, end, duration, rrule, exdates, recurrenceId, status },
+ *   with dates as returned by parseDateValue
+ * @throws {Error} - If the text isn't an iCalendar document
+ */
+const parseCalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file: BEGIN:VCALENDAR is missing');
+  }
+
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  lines.forEach(raw => {
+    const line = raw.trim();
+    if (!line) {
+      return;
+    }
+
+    const property = parseContentLine(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        event = { uid: null, summary: null, start: null, end: null, duration: null, rrule: null, exdates: [], recurrenceId: null, status: null };
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    // Only properties directly on the VEVENT, not on its VALARMs
+    if (!event || stack[stack.length - 1] !== 'VEVENT') {
+      return;
+    }
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value).trim();
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(property.value, property.params);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(property.value, property.params);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        event.rrule = property.value.trim();
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          const date = parseDateValue(value, property.params);
+          if (date) {
+            event.exdates.push(date);
+          }
+        });
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseDateValue(property.value, property.params);
+        break;
+      case 'STATUS':
+        event.status = property.value.trim().toUpperCase();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  parseCalendar,
+  entryUid,
+  annualTaskUid,
+  entryEvent,
+  annualTaskEvent,
+  buildCalendar
+};
@@ -0,0 +1,145 @@
+// ISO 8601 weeks: weeks start on Monday and week 1 is the week with the
+// year's first Thursday. Weeks are written 2026-W43, weekdays 1 (Monday) to 7.
+const ISO_WEEK_PATTERN = /^(\d{4})-W(\d{2})$/;
+const DAY_CARD_PATTERN = /^(\d{4}-W\d{2})-([1-7])$/;
+
+// Weekday names older app builds use as weekly planner card_ids
+const WEEKDAY_NAMES = {
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+  sunday: 7, sun: 7
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const fromUtc = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Monday of week 1 of an ISO year, as UTC milliseconds
+const firstMonday = (year) => {
+  const jan4 = Date.UTC(year, 0, 4);
+  return jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+// Number of weeks in an ISO year: 53 when it starts or ends on a Thursday
+const weeksInYear = (year) => {
+  const dayOf = (month, day) => new Date(Date.UTC(year, month, day)).getUTCDay();
+  return dayOf(0, 1) === 4 || dayOf(11, 31) === 4 ? 53 : 52;
+};
+
+/**
+ * Parse an ISO week such as 2026-W43
+ *
+ * @param {string} value
+ * @returns {Object|null} - { year, week }, or null if invalid
+ */
+const parseIsoWeek = (value) => {
+  const match = ISO_WEEK_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const year = parseInt(match[1], 10);
+  const week = parseInt(match[2], 10);
+  return week >= 1 && week <= weeksInYear(year) ? { year, week } : null;
+};
+
+/**
+ * ISO week a date falls in
+ *
+ * @param {string|Date} date - YYYY-MM-DD, or a Date (read in local time, like mysql DATE columns)
+ * @returns {string} - e.g. 2026-W43
+ */
+const isoWeekOf = (date) => {
+  const day = typeof date === 'string'
+    ? Date.parse(`${date.slice(0, 10)}T00:00:00Z`)
+    : Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  // The Thursday of the date's week decides the year
+  const thursday = day + (3 - ((new Date(day).getUTCDay() + 6) % 7)) * DAY_MS;
+  const year = new Date(thursday).getUTCFullYear();
+  return `${year}-W${pad(Math.floor((thursday - firstMonday(year)) / (7 * DAY_MS)) + 1)}`;
+};
+
+/**
+ * Date of a weekday in an ISO week
+ *
+ * @param {string} isoWeek - A valid ISO week
+ * @param {number} [weekday] - 1 (Monday) to 7 (Sunday); default Monday
+ * @returns {string} - YYYY-MM-DD
+ */
+const weekdayDate = (isoWeek, weekday = 1) => {
+  const { year, week } = parseIsoWeek(isoWeek);
+  return fromUtc(firstMonday(year) + ((week - 1) * 7 + weekday - 1) * DAY_MS);
+};
+
+/**
+ * ISO week a number of weeks after another
+ *
+ * @param {string} isoWeek - A valid ISO week
+ * @param {number} [weeks] - Weeks to add; negative goes back. Default 1.
+ * @returns {string}
+ */
+const addWeeks = (isoWeek, weeks = 1) => {
+  return isoWeekOf(fromUtc(Date.parse(`${weekdayDate(isoWeek)}T00:00:00Z`) + weeks * 7 * DAY_MS));
+};
+
+/**
+ * Number of weeks from one ISO week to another
+ *
+ * @param {string} from - A valid ISO week
+ * @param {string} to - A valid ISO week
+ * @returns {number} - Negative if to is before from
+ */
+const weeksBetween = (from, to) => {
+  return Math.round((Date.parse(`${weekdayDate(to)}T00:00:00Z`) - Date.parse(`${weekdayDate(from)}T00:00:00Z`)) / (7 * DAY_MS));
+};
+
+/**
+ * card_id of a weekly planner day
+ *
+ * @param {string} isoWeek - e.g. 2026-W43
+ * @param {number} weekday - 1 (Monday) to 7 (Sunday)
+ * @returns {string} - e.g. 2026-W43-1
+ */
+const dayCardId = (isoWeek, weekday) => `${isoWeek}-${weekday}`;
+
+/**
+ * Week and weekday a weekly planner card_id names
+ *
+ * @param {string} cardId
+ * @returns {Object|null} - { iso_week, weekday }, or null if the card isn't a day of a week
+ */
+const parseDayCardId = (cardId) => {
+  const match = DAY_CARD_PATTERN.exec(cardId || '');
+  if (!match || !parseIsoWeek(match[1])) {
+    return null;
+  }
+  return { iso_week: match[1], weekday: parseInt(match[2], 10) };
+};
+
+/**
+ * Weekday an older weekly planner card_id names (Monday, mon, ...)
+ *
+ * @param {string} cardId
+ * @returns {number|null} - 1 (Monday) to 7 (Sunday), or null if cardId isn't a weekday name
+ */
+const parseWeekdayName = (cardId) => {
+  const name = typeof cardId === 'string' ? cardId.trim().toLowerCase() : '';
+  return Object.prototype.hasOwnProperty.call(WEEKDAY_NAMES, name) ? WEEKDAY_NAMES[name] : null;
+};
+
+module.exports = {
+  parseIsoWeek,
+  isoWeekOf,
+  weekdayDate,
+  addWeeks,
+  weeksBetween,
+  dayCardId,
+  parseDayCardId,
+  parseWeekdayName
+};
@@ -0,0 +1,285 @@
+const { query } = require('../config/database');
+const { isValidDate } = require('./calendarService');
+const { toDateString } = require('./recurrenceService');
+const { MOOD_SCALE, cleanTags, parseTags, validateTags } = require('./moodService');
+
+// Daily prompts, served in turn: each day gets the next one, starting over at the end.
+// Ids are kept when prompts are added, reworded or reordered, so entries can keep pointing at them.
+const JOURNAL_PROMPTS = [
+  { id: 'grateful-three', text: 'What are three things you are grateful for today?' },
+  { id: 'small-win', text: 'What was a small win today, and how did you make it happen?' },
+  { id: 'energy', text: 'What gave you energy today, and what drained it?' },
+  { id: 'future-self', text: 'What would your future self thank you for doing this week?' },
+  { id: 'let-go', text: 'What is one thing you are ready to let go of?' },
+  { id: 'proud', text: 'When did you feel proud of yourself recently?' },
+  { id: 'kindness', text: 'What kindness did you give or receive today?' },
+  { id: 'challenge', text: 'What challenged you today, and what did it teach you?' },
+  { id: 'focus-tomorrow', text: 'What is the one thing you want to focus on tomorrow?' },
+  { id: 'calm-place', text: 'Describe a place where you feel calm. What makes it feel that way?' },
+  { id: 'worry', text: 'What is on your mind right now? Write it down without judging it.' },
+  { id: 'habit', text: 'Which habit is helping you most at the moment, and which one is holding you back?' },
+  { id: 'vision', text: 'Pick one goal from your vision board. What step could you take towards it this week?' },
+  { id: 'enough', text: 'What does a good enough day look like for you?' }
+];
+
+// Fields a client can set on a journal entry
+const JOURNAL_FIELDS = ['title', 'body', 'tags', 'entry_date', 'mood_entry_id', 'prompt_id'];
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_BODY_LENGTH = 20000;
+const MAX_QUERY_LENGTH = 200;
+
+// Search results per request
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The prompt of a day. The catalogue is walked one prompt a day, so every
+ * user sees the same prompt on the same date.
+ *
+ * @param {string} [date] - YYYY-MM-DD; default today in server time
+ * @returns {Object} - { date, prompt: { id, text } }
+ */
+const promptOfDay = (date = toDateString(new Date())) => {
+  const day = Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  return {
+    date,
+    prompt: JOURNAL_PROMPTS[((day % JOURNAL_PROMPTS.length) + JOURNAL_PROMPTS.length) % JOURNAL_PROMPTS.length]
+  };
+};
+
+/**
+ * Validate the fields of a journal entry. Missing fields are fine; body is
+ * required by the caller when adding an entry. Whether mood_entry_id is one of
+ * the user's mood entries is checked when saving.
+ *
+ * @param {Object} fields - Entry fields from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateJournalFields = (fields) => {
+  if (fields.title !== undefined && fields.title !== null &&
+      (typeof fields.title !== 'string' || fields.title.length > MAX_TITLE_LENGTH)) {
+    return `title must be a string of at most ${MAX_TITLE_LENGTH} characters, or null`;
+  }
+
+  if (fields.body !== undefined &&
+      (typeof fields.body !== 'string' || fields.body.trim().length === 0 || fields.body.length > MAX_BODY_LENGTH)) {
+    return `body must be a non-empty string of at most ${MAX_BODY_LENGTH} characters`;
+  }
+
+  const invalidTags = validateTags(fields.tags);
+  if (invalidTags) {
+    return invalidTags;
+  }
+
+  if (fields.entry_date !== undefined && !isValidDate(fields.entry_date)) {
+    return 'entry_date must be a YYYY-MM-DD date';
+  }
+
+  if (fields.mood_entry_id !== undefined && fields.mood_entry_id !== null &&
+      !(Number.isInteger(fields.mood_entry_id) && fields.mood_entry_id > 0)) {
+    return 'mood_entry_id must be the id of a mood entry, or null';
+  }
+
+  if (fields.prompt_id !== undefined && fields.prompt_id !== null &&
+      !JOURNAL_PROMPTS.some(prompt => prompt.id === fields.prompt_id)) {
+    return 'prompt_id must be the id of a journal prompt, or null';
+  }
+
+  return null;
+};
+
+// Value to store for a client field
+const columnValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (field === 'tags') {
+    return JSON.stringify(cleanTags(value));
+  }
+  return value;
+};
+
+// Whether a mood entry exists and belongs to the user
+const ownsMoodEntry = async (userId, moodEntryId) => {
+  const rows = await query('SELECT id FROM mood_entries WHERE id = ? AND user_id = ?', [moodEntryId, userId]);
+  return rows.length > 0;
+};
+
+// Entries are selected with their mood entry's mood joined in
+const SELECT_ENTRIES = `SELECT j.*, m.mood FROM journal_entries j
+  LEFT JOIN mood_entries m ON m.id = j.mood_entry_id`;
+
+const formatEntry = (row) => ({
+  id: row.id,
+  title: row.title,
+  body: row.body,
+  tags: parseTags(row.tags),
+  entry_date: toDateString(row.entry_date),
+  mood_entry_id: row.mood_entry_id,
+  mood: row.mood_entry_id !== null && row.mood !== null
+    ? MOOD_SCALE.find(level => level.mood === row.mood)
+    : null,
+  prompt: row.prompt_id ? JOURNAL_PROMPTS.find(prompt => prompt.id === row.prompt_id) || { id: row.prompt_id, text: null } : null,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+  ...(row.score !== undefined && { score: row.score })
+});
+
+/**
+ * List a user's journal entries, optionally for a date range
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { from, to, tag }, all optional; from/to are inclusive YYYY-MM-DD
+ * @returns {Promise<Array>} - Entries, newest first
+ */
+const listJournalEntries = async (userId, filters = {}) => {
+  let sql = `${SELECT_ENTRIES} WHERE j.user_id = ?`;
+  const params = [userId];
+
+  if (filters.from) {
+    sql += ' AND j.entry_date >= ?';
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    sql += ' AND j.entry_date <= ?';
+    params.push(filters.to);
+  }
+
+  if (filters.tag) {
+    sql += ' AND JSON_CONTAINS(j.tags, JSON_QUOTE(?))';
+    params.push(filters.tag.trim().toLowerCase());
+  }
+
+  const rows = await query(sql + ' ORDER BY j.entry_date DESC, j.id DESC', params);
+  return rows.map(formatEntry);
+};
+
+/**
+ * Get one of a user's journal entries
+ *
+ * @param {number} userId - The user's id
+ * @param {number} id - The entry's id
+ * @returns {Promise<Object|null>}
+ */
+const getJournalEntry = async (userId, id) => {
+  const rows = await query(`${SELECT_ENTRIES} WHERE j.id = ? AND j.user_id = ?`, [id, userId]);
+  return rows.length > 0 ? formatEntry(rows[0]) : null;
+};
+
+/**
+ * Add a journal entry
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} fields - body, plus any other JOURNAL_FIELDS; entry_date defaults to today (server time)
+ * @returns {Promise<Object>} - { id, entry_date }, or { error } if mood_entry_id isn't one of the user's mood entries
+ */
+const addJournalEntry = async (userId, fields) => {
+  if (fields.mood_entry_id && !await ownsMoodEntry(userId, fields.mood_entry_id)) {
+    return { error: 'Mood entry not found' };
+  }
+
+  const entryDate = fields.entry_date || toDateString(new Date());
+
+  const result = await query(
+    `INSERT INTO journal_entries (user_id, title, body, tags, entry_date, mood_entry_id, prompt_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      columnValue('title', fields.title),
+      fields.body,
+      columnValue('tags', fields.tags),
+      entryDate,
+      columnValue('mood_entry_id', fields.mood_entry_id),
+      columnValue('prompt_id', fields.prompt_id)
+    ]
+  );
+
+  return { id: result.insertId, entry_date: entryDate };
+};
+
+/**
+ * Update the given fields of a journal entry
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @param {Object} fields - Any of JOURNAL_FIELDS; undefined fields are left as they are
+ * @returns {Promise<Object|null>} - { id }, { error } if mood_entry_id isn't one of the
+ *   user's mood entries, or null if the entry doesn't exist
+ */
+const updateJournalEntry = async (userId, id, fields) => {
+  if (fields.mood_entry_id && !await ownsMoodEntry(userId, fields.mood_entry_id)) {
+    return { error: 'Mood entry not found' };
+  }
+
+  const setClauses = [];
+  const params = [];
+
+  JOURNAL_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      setClauses.push(`${field} = ?`);
+      params.push(columnValue(field, fields[field]));
+    }
+  });
+  setClauses.push('updated_at = NOW()');
+
+  const result = await query(
+    `UPDATE journal_entries SET ${setClauses.join(', ')} WHERE id = ? AND user_id = ?`,
+    [...params, id, userId]
+  );
+  return result.affectedRows > 0 ? { id } : null;
+};
+
+/**
+ * Delete a journal entry
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const deleteJournalEntry = async (userId, id) => {
+  const result = await query('DELETE FROM journal_entries WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Search a user's journal titles and bodies with the full-text index
+ * (natural language mode: best matches first; very short and very common
+ * words are ignored by MySQL)
+ *
+ * @param {number} userId - The user's id
+ * @param {string} text - Words to search for
+ * @param {number} [limit] - Most entries returned
+ * @returns {Promise<Array>} - Matching entries with their relevance `score`
+ */
+const searchJournal = async (userId, text, limit = DEFAULT_SEARCH_LIMIT) => {
+  const rows = await query(
+    `SELECT j.*, m.mood, MATCH (j.title, j.body) AGAINST (? IN NATURAL LANGUAGE MODE) AS score
+     FROM journal_entries j
+     LEFT JOIN mood_entries m ON m.id = j.mood_entry_id
+     WHERE j.user_id = ? AND MATCH (j.title, j.body) AGAINST (? IN NATURAL LANGUAGE MODE)
+     ORDER BY score DESC, j.entry_date DESC, j.id DESC
+     LIMIT ?`,
+    [text, userId, text, limit]
+  );
+  return rows.map(formatEntry);
+};
+
+module.exports = {
+  JOURNAL_PROMPTS,
+  JOURNAL_FIELDS,
+  MAX_QUERY_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  promptOfDay,
+  validateJournalFields,
+  listJournalEntries,
+  getJournalEntry,
+  addJournalEntry,
+  updateJournalEntry,
+  deleteJournalEntry,
+  searchJournal
+};
@@ -0,0 +1,403 @@
+const { query, transaction } = require('../config/database');
+const { isValidDate } = require('./calendarService');
+const { listThemes } = require('./themeService');
+const { isoWeekOf } = require('./isoWeekService');
+
+// The mood scale, worst to best
+const MOOD_SCALE = [
+  { mood: 1, label: 'Awful' },
+  { mood: 2, label: 'Bad' },
+  { mood: 3, label: 'Okay' },
+  { mood: 4, label: 'Good' },
+  { mood: 5, label: 'Great' }
+];
+
+// Mood of each calendar colour number, for copying calendar day moods into
+// the log. Migration 019 made the first copy with these; MOOD_COLOR_MAP
+// (e.g. "1:4,2:5,3:3,4:2,5:1") replaces them for backfill-moods.js.
+const DEFAULT_COLOR_MOODS = { 1: 4, 2: 5, 3: 3, 4: 2, 5: 1 };
+
+// Fields a client can set on a mood entry
+const MOOD_FIELDS = ['mood', 'tags', 'note', 'logged_at'];
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTE_LENGTH = 1000;
+
+// Longest date range a summary covers
+const MAX_SUMMARY_DAYS = 366;
+
+const DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// mysql returns DATETIME columns as local Dates; logged_at goes back out as the wall time it was saved as
+const formatDateTime = (date) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const addDays = (date, days) => {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Number of days from one date to another, counting both
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number} - 0 or less if to is before from
+ */
+const daysInRange = (from, to) => {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+};
+
+// Tags are stored trimmed, lower case and without repeats
+const cleanTags = (tags) => {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+};
+
+// The tags JSON column comes back from mysql as a string
+const parseTags = (value) => {
+  return typeof value === 'string' ? JSON.parse(value) : value || [];
+};
+
+/**
+ * Check a list of tags from the request
+ *
+ * @param {Array<string>|null} [tags] - undefined or null means no tags
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTags = (tags) => {
+  if (tags === undefined || tags === null) {
+    return null;
+  }
+
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+    return `tags must be a list of at most ${MAX_TAGS} tags, or null`;
+  }
+
+  if (!tags.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= MAX_TAG_LENGTH)) {
+    return `Each tag must be a non-empty string of at most ${MAX_TAG_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate the fields of a mood entry. Missing fields are fine; mood is
+ * required by the caller when adding an entry.
+ *
+ * @param {Object} fields - Entry fields from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateMoodFields = (fields) => {
+  if (fields.mood !== undefined && !MOOD_SCALE.some(level => level.mood === fields.mood)) {
+    return `mood must be a whole number from 1 to ${MOOD_SCALE.length}`;
+  }
+
+  const invalidTags = validateTags(fields.tags);
+  if (invalidTags) {
+    return invalidTags;
+  }
+
+  if (fields.note !== undefined && fields.note !== null &&
+      (typeof fields.note !== 'string' || fields.note.length > MAX_NOTE_LENGTH)) {
+    return `note must be a string of at most ${MAX_NOTE_LENGTH} characters, or null`;
+  }
+
+  if (fields.logged_at !== undefined) {
+    const match = DATE_TIME_PATTERN.exec(fields.logged_at || '');
+    if (!match || !isValidDate(match[1])) {
+      return 'logged_at must be a local date and time, YYYY-MM-DDTHH:MM[:SS]';
+    }
+  }
+
+  return null;
+};
+
+// Value to store for a client field
+const columnValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (field === 'tags') {
+    return JSON.stringify(cleanTags(value));
+  }
+  if (field === 'logged_at') {
+    return value.replace('T', ' ');
+  }
+  return value;
+};
+
+/**
+ * Parse a colour-to-mood mapping such as "1:4,2:5,3:3,4:2,5:1"
+ *
+ * @param {string} [value] - undefined or empty for DEFAULT_COLOR_MOODS
+ * @returns {Object} - { <colour number>: <mood> }
+ * @throws {Error} - If a pair isn't <colour number>:<mood from the scale>
+ */
+const parseColorMoods = (value) => {
+  if (value === undefined || value.trim() === '') {
+    return { ...DEFAULT_COLOR_MOODS };
+  }
+
+  const colorMoods = {};
+  value.split(',').forEach(pair => {
+    const match = /^\s*(\d+)\s*:\s*(\d+)\s*$/.exec(pair);
+    if (!match || !MOOD_SCALE.some(level => level.mood === parseInt(match[2], 10))) {
+      throw new Error(`Invalid colour mapping "${pair.trim()}": expected <colour number>:<mood from 1 to ${MOOD_SCALE.length}>`);
+    }
+    colorMoods[parseInt(match[1], 10)] = parseInt(match[2], 10);
+  });
+  return colorMoods;
+};
+
+/**
+ * Copy calendar day moods into the mood log: one entry per day at midday (no
+ * time was recorded), tagged with the colour's label from the themes registry.
+ * Days already copied are skipped. Colours without a mood are left out.
+ *
+ * @param {Object} colorMoods - { <colour number>: <mood> }, see parseColorMoods
+ * @param {Object} [options] - { replace }: first remove earlier copies the user hasn't edited
+ * @returns {Promise<Object>} - { removed, added }
+ */
+const backfillCalendarMoods = (colorMoods, options = {}) => {
+  const colors = Object.keys(colorMoods).map(Number);
+  const labels = new Map(listThemes()[0].palette.map(color => [color.number, color.label.toLowerCase()]));
+
+  return transaction(async (txQuery) => {
+    let removed = 0;
+    if (options.replace) {
+      const result = await txQuery('DELETE FROM mood_entries WHERE calendar_day_id IS NOT NULL AND updated_at = created_at');
+      removed = result.affectedRows;
+    }
+
+    if (colors.length === 0) {
+      return { removed, added: 0 };
+    }
+
+    const moodCases = colors.map(() => 'WHEN ? THEN ?').join(' ');
+    const tagCases = colors.map(() => 'WHEN ? THEN JSON_ARRAY(?)').join(' ');
+    const result = await txQuery(
+      `INSERT IGNORE INTO mood_entries (user_id, mood, tags, logged_at, calendar_day_id)
+       SELECT user_id, CASE task_type ${moodCases} END, CASE task_type ${tagCases} ELSE NULL END,
+         TIMESTAMP(day_date, '12:00:00'), id
+       FROM calendar_days
+       WHERE deleted_at IS NULL AND task_type IN (?)`,
+      [
+        ...colors.flatMap(color => [color, colorMoods[color]]),
+        ...colors.flatMap(color => [color, labels.get(color) || `colour ${color}`]),
+        colors
+      ]
+    );
+
+    return { removed, added: result.affectedRows };
+  });
+};
+
+const formatMood = (row) => ({
+  id: row.id,
+  mood: row.mood,
+  label: MOOD_SCALE.find(level => level.mood === row.mood).label,
+  tags: parseTags(row.tags),
+  note: row.note,
+  logged_at: formatDateTime(row.logged_at),
+  from_calendar: row.calendar_day_id !== null,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * List a user's mood entries, optionally for a date range
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { from, to }, both optional; inclusive YYYY-MM-DD
+ * @returns {Promise<Array>} - Entries, oldest first
+ */
+const listMoods = async (userId, filters = {}) => {
+  let sql = 'SELECT * FROM mood_entries WHERE user_id = ?';
+  const params = [userId];
+
+  if (filters.from) {
+    sql += ' AND logged_at >= ?';
+    params.push(`${filters.from} 00:00:00`);
+  }
+
+  if (filters.to) {
+    sql += ' AND logged_at < ?';
+    params.push(`${addDays(filters.to, 1)} 00:00:00`);
+  }
+
+  const rows = await query(sql + ' ORDER BY logged_at, id', params);
+  return rows.map(formatMood);
+};
+
+/**
+ * Log a mood
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} fields - mood, plus optional tags, note and logged_at (default: now, in server time)
+ * @returns {Promise<Object>} - { id, logged_at }
+ */
+const addMood = async (userId, fields) => {
+  const loggedAt = fields.logged_at || formatDateTime(new Date());
+
+  const result = await query(
+    'INSERT INTO mood_entries (user_id, mood, tags, note, logged_at) VALUES (?, ?, ?, ?, ?)',
+    [
+      userId,
+      fields.mood,
+      columnValue('tags', fields.tags),
+      columnValue('note', fields.note),
+      columnValue('logged_at', loggedAt)
+    ]
+  );
+
+  return { id: result.insertId, logged_at: loggedAt };
+};
+
+/**
+ * Update the given fields of a mood entry
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @param {Object} fields - Any of MOOD_FIELDS; undefined fields are left as they are
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const updateMood = async (userId, id, fields) => {
+  const setClauses = [];
+  const params = [];
+
+  MOOD_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      setClauses.push(`${field} = ?`);
+      params.push(columnValue(field, fields[field]));
+    }
+  });
+  setClauses.push('updated_at = NOW()');
+
+  const result = await query(
+    `UPDATE mood_entries SET ${setClauses.join(', ')} WHERE id = ? AND user_id = ?`,
+    [...params, id, userId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Delete a mood entry
+ *
+ * @param {number} userId - Owner of the entry
+ * @param {number} id - The entry's id
+ * @returns {Promise<boolean>} - Whether the entry was found
+ */
+const deleteMood = async (userId, id) => {
+  const result = await query('DELETE FROM mood_entries WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.affectedRows > 0;
+};
+
+const average = (entries) => {
+  if (entries.length === 0) {
+    return null;
+  }
+  return Math.round((entries.reduce((total, entry) => total + entry.mood, 0) / entries.length) * 100) / 100;
+};
+
+/**
+ * Streaks of days with at least one entry. The current streak ends on the
+ * last day of the range, or the day before when that day has nothing yet.
+ *
+ * @param {Set<string>} days - Dates with entries, YYYY-MM-DD
+ * @param {string} from - First day of the range
+ * @param {string} to - Last day of the range
+ * @returns {Object} - { current, longest } in days
+ */
+const countStreaks = (days, from, to) => {
+  let longest = 0;
+  let run = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    run = days.has(date) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  let date = days.has(to) ? to : addDays(to, -1);
+  while (date >= from && days.has(date)) {
+    current++;
+    date = addDays(date, -1);
+  }
+
+  return { current, longest };
+};
+
+/**
+ * Summary of a user's moods between two dates: streaks of logged days, the
+ * average mood per ISO week and how often each mood and tag was logged
+ *
+ * @param {number} userId - The user's id
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, inclusive; at most MAX_SUMMARY_DAYS after from
+ * @returns {Promise<Object>} - { from, to, entries, days_logged, average, streaks: { current, longest },
+ *   weeks: [{ iso_week, entries, average }], distribution: [{ mood, label, count, percent }], tags: [{ tag, count }] }
+ */
+const summarizeMoods = async (userId, from, to) => {
+  const entries = await listMoods(userId, { from, to });
+  const days = new Set(entries.map(entry => entry.logged_at.slice(0, 10)));
+
+  const weeks = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const isoWeek = isoWeekOf(date);
+    if (weeks.length === 0 || weeks[weeks.length - 1].iso_week !== isoWeek) {
+      weeks.push({ iso_week: isoWeek, entries: [] });
+    }
+  }
+  entries.forEach(entry => {
+    const isoWeek = isoWeekOf(entry.logged_at.slice(0, 10));
+    weeks.find(week => week.iso_week === isoWeek).entries.push(entry);
+  });
+
+  const tagCounts = new Map();
+  entries.forEach(entry => {
+    entry.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1));
+  });
+
+  return {
+    from,
+    to,
+    entries: entries.length,
+    days_logged: days.size,
+    average: average(entries),
+    streaks: countStreaks(days, from, to),
+    weeks: weeks.map(week => ({ iso_week: week.iso_week, entries: week.entries.length, average: average(week.entries) })),
+    distribution: MOOD_SCALE.map(level => {
+      const count = entries.filter(entry => entry.mood === level.mood).length;
+      return {
+        ...level,
+        count,
+        percent: entries.length > 0 ? Math.round((count / entries.length) * 100) : 0
+      };
+    }),
+    tags: [...tagCounts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+  };
+};
+
+module.exports = {
+  MOOD_SCALE,
+  MOOD_FIELDS,
+  MAX_SUMMARY_DAYS,
+  daysInRange,
+  parseColorMoods,
+  backfillCalendarMoods,
+  cleanTags,
+  parseTags,
+  validateTags,
+  validateMoodFields,
+  listMoods,
+  addMood,
+  updateMood,
+  deleteMood,
+  summarizeMoods
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Create a single-use token for an account action (e.g. password reset).
+ * Any earlier unused token for the same user and purpose stops working.
+ *
+ * @param {number} userId - The user the token is for
+ * @param {string} purpose - What the token may be used for
+ * @param {number} ttlMinutes - How long the token stays valid
+ * @returns {Promise<string>} - The raw token to send to the user
+ */
+const createOneTimeToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await query(
+    'UPDATE one_time_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await query(
+    'INSERT INTO one_time_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return token;
+};
+
+/**
+ * Consume a single-use token
+ *
+ * @param {string} token - The raw token from the link
+ * @param {string} purpose - The purpose the token must have been created for
+ * @returns {Promise<number|null>} - The user id, or null if invalid, expired or used
+ */
+const consumeOneTimeToken = async (token, purpose) => {
+  const records = await query(
+    'SELECT id, user_id FROM one_time_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()',
+    [hashToken(token), purpose]
+  );
+
+  if (records.length === 0) {
+    return null;
+  }
+
+  // Mark as used; a concurrent request that got here first wins
+  const result = await query(
+    'UPDATE one_time_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [records[0].id]
+  );
+
+  return result.affectedRows > 0 ? records[0].user_id : null;
+};
+
+module.exports = {
+  createOneTimeToken,
+  consumeOneTimeToken
+};
@@ -0,0 +1,141 @@
+const { parseTasks } = require('./visionBoardService');
+const { recordChange, trashRemovedTasks, recordRevision } = require('./changeLog');
+const { parseDayCardId } = require('./isoWeekService');
+
+// Card tables that store a `tasks` JSON list with a version counter
+const VERSIONED_CARD_TABLES = ['vision_board_tasks', 'weekly_planner_tasks', 'annual_calendar_tasks'];
+
+/**
+ * Read the expected card version from an If-Match header ("3", W/"3" or 3)
+ * or a `version` field in the body
+ *
+ * @param {Object} req - Express request
+ * @returns {number|null} - The version, or null if the client sent none
+ */
+const getExpectedVersion = (req) => {
+  const header = req.headers['if-match'];
+  const raw = header !== undefined ? header.replace(/^W\//, '').replace(/"/g, '') : req.body.version;
+
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+
+  const version = parseInt(raw, 10);
+  return Number.isInteger(version) ? version : NaN;
+};
+
+/**
+ * Merge a client's task list into the server's by task id: tasks added on
+ * either side are kept, a task completed on either side stays completed and
+ * the client's text wins. Server order is kept, new client tasks go last.
+ *
+ * @param {Array} serverTasks - Tasks currently stored
+ * @param {Array} clientTasks - Tasks the client tried to save
+ * @returns {Array}
+ */
+const mergeTasks = (serverTasks, clientTasks) => {
+  const clientById = new Map(clientTasks.filter(task => task && task.id).map(task => [task.id, task]));
+  const serverIds = new Set();
+
+  const merged = serverTasks.map(serverTask => {
+    serverIds.add(serverTask.id);
+    const clientTask = clientById.get(serverTask.id);
+    if (!clientTask) {
+      return serverTask;
+    }
+    return {
+      ...serverTask,
+      ...clientTask,
+      completed: Boolean(serverTask.completed || clientTask.completed)
+    };
+  });
+
+  clientTasks.forEach(task => {
+    if (task && task.id && !serverIds.has(task.id)) {
+      merged.push(task);
+    }
+  });
+
+  return merged;
+};
+
+// Store tasks the way the client sent them; merged lists are serialized here
+const serializeTasks = (tasks) => {
+  return typeof tasks === 'string' ? tasks : JSON.stringify(tasks);
+};
+
+/**
+ * Create or update a card, refusing to overwrite changes the client hasn't seen.
+ * Runs on the caller's transaction.
+ *
+ * @param {Function} txQuery - Query function of the open transaction
+ * @param {Object} options
+ * @param {string} options.table - One of VERSIONED_CARD_TABLES
+ * @param {Object} options.user - { id, name, email }
+ * @param {string} options.cardId - The card id
+ * @param {string} options.theme - The card theme
+ * @param {Array|string} options.tasks - Tasks from the request
+ * @param {number|null} options.expectedVersion - Version the client last loaded, or null if it sent none
+ * @param {boolean} [options.requireVersion] - Refuse to update an existing card without expectedVersion
+ * @param {boolean} [options.merge] - On a version mismatch, merge by task id instead of failing
+ * @param {string} [options.source] - What made the change, recorded in the card history
+ * @returns {Promise<Object>} - { status, id, version, tasks, current }, where status is
+ *   'created', 'updated', 'merged', 'conflict' or 'version_required'
+ */
+const writeVersionedCard = async (txQuery, { table, user, cardId, theme, tasks, expectedVersion, requireVersion = true, merge = false, source = 'tasks_save' }) => {
+  if (!VERSIONED_CARD_TABLES.includes(table)) {
+    throw new Error(`Unsupported card table: ${table}`);
+  }
+
+  const existing = await txQuery(
+    `SELECT * FROM ${table} WHERE user_id = ? AND card_id = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE`,
+    [user.id, cardId, theme]
+  );
+
+  if (existing.length === 0) {
+    // A weekly planner card named <iso_week>-<weekday> is that day of the week
+    const day = table === 'weekly_planner_tasks' ? parseDayCardId(cardId) : null;
+    const result = await txQuery(
+      `INSERT INTO ${table} (user_id, user_name, email, card_id, tasks, theme, version${day ? ', iso_week, weekday' : ''})
+       VALUES (?, ?, ?, ?, ?, ?, 1${day ? ', ?, ?' : ''})`,
+      [user.id, user.name, user.email, cardId, serializeTasks(tasks), theme, ...(day ? [day.iso_week, day.weekday] : [])]
+    );
+    await recordChange(txQuery, user.id, table, result.insertId);
+    return { status: 'created', id: result.insertId, version: 1, tasks };
+  }
+
+  const current = existing[0];
+
+  if (expectedVersion === null && requireVersion) {
+    return { status: 'version_required', id: current.id, version: current.version, current };
+  }
+
+  let status = 'updated';
+  let tasksToSave = tasks;
+
+  if (expectedVersion !== null && expectedVersion !== current.version) {
+    if (!merge) {
+      return { status: 'conflict', id: current.id, version: current.version, current };
+    }
+    tasksToSave = mergeTasks(parseTasks(current.tasks), parseTasks(tasks));
+    status = 'merged';
+  }
+
+  await txQuery(
+    `UPDATE ${table} SET tasks = ?, version = version + 1, updated_at = NOW() WHERE id = ?`,
+    [serializeTasks(tasksToSave), current.id]
+  );
+  const oldTasks = parseTasks(current.tasks);
+  const newTasks = parseTasks(tasksToSave);
+  await trashRemovedTasks(txQuery, user.id, table, current.id, oldTasks, newTasks);
+  await recordRevision(txQuery, user.id, table, current, oldTasks, newTasks, source);
+  await recordChange(txQuery, user.id, table, current.id);
+
+  return { status, id: current.id, version: current.version + 1, tasks: tasksToSave };
+};
+
+module.exports = {
+  getExpectedVersion,
+  mergeTasks,
+  writeVersionedCard
+};
@@ -0,0 +1,352 @@
+// Supported subset of iCalendar RRULE (RFC 5545): FREQ, INTERVAL, BYDAY
+// (weekly rules only), COUNT and UNTIL. Dates are handled as YYYY-MM-DD in UTC.
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as YYYY-MM-DD. Date objects from mysql are read in local
+ * time, since that is how DATE columns are returned.
+ *
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const toDateString = (date) => {
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * A YYYY-MM-DD date as a Date at local midnight, like mysql returns DATE columns
+ *
+ * @param {string} value
+ * @returns {Date}
+ */
+const toLocalDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toUtc = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const fromUtc = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Day before a YYYY-MM-DD date
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const previousDay = (value) => fromUtc(toUtc(value) - DAY_MS);
+
+// UNTIL may be a date (20261231) or a UTC date-time (20261231T235959Z); only the date is used
+const parseUntil = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return fromUtc(toUtc(date)) === date ? date : null;
+};
+
+/**
+ * Parse an RRULE string, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ *
+ * @param {string} value - The rule, with or without a leading "RRULE:"
+ * @returns {Object} - { freq, interval, byday, count, until }
+ * @throws {Error} - If the rule is invalid or uses parts outside the supported subset
+ */
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error('rrule must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byday: null, count: null, until: null };
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const partValue = (rawValue || '').toUpperCase();
+
+    if (key === 'FREQ') {
+      if (!FREQUENCIES.includes(partValue)) {
+        throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+      }
+      rule.freq = partValue;
+    } else if (key === 'INTERVAL') {
+      rule.interval = parseInt(partValue, 10);
+      if (!/^\d+$/.test(partValue) || rule.interval < 1) {
+        throw new Error('INTERVAL must be a whole number of 1 or more');
+      }
+    } else if (key === 'BYDAY') {
+      const days = partValue.split(',');
+      if (days.some(day => !WEEKDAYS.includes(day))) {
+        throw new Error(`BYDAY must list days from ${WEEKDAYS.join(', ')}`);
+      }
+      rule.byday = [...new Set(days.map(day => WEEKDAYS.indexOf(day)))].sort();
+    } else if (key === 'COUNT') {
+      rule.count = parseInt(partValue, 10);
+      if (!/^\d+$/.test(partValue) || rule.count < 1) {
+        throw new Error('COUNT must be a whole number of 1 or more');
+      }
+    } else if (key === 'UNTIL') {
+      rule.until = parseUntil(partValue);
+      if (!rule.until) {
+        throw new Error('UNTIL must be a date such as 20261231');
+      }
+    } else {
+      throw new Error(`Unsupported rrule part: ${key || part}. Supported parts are FREQ, INTERVAL, BYDAY, COUNT and UNTIL`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('rrule must include FREQ');
+  }
+
+  if (rule.byday && rule.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('rrule can have COUNT or UNTIL, not both');
+  }
+
+  return rule;
+};
+
+/**
+ * Check an RRULE string
+ *
+ * @param {string} value
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateRRule = (value) => {
+  try {
+    parseRRule(value);
+    return null;
+  } catch (error) {
+    return `Invalid rrule: ${error.message}`;
+  }
+};
+
+/**
+ * Write a parsed rule back as an RRULE string
+ *
+ * @param {Object} rule - From parseRRule
+ * @returns {string}
+ */
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byday) {
+    parts.push(`BYDAY=${rule.byday.map(day => WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// First day of one period (day, week, month or year) of the rule
+const periodStart = (start, rule, period) => {
+  const [year, month] = start.split('-').map(Number);
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    return toUtc(start) + step * DAY_MS;
+  }
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const startDay = new Date(toUtc(start)).getUTCDay();
+    return toUtc(start) - ((startDay + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+  }
+  if (rule.freq === 'MONTHLY') {
+    return Date.UTC(year, month - 1 + step, 1);
+  }
+  return Date.UTC(year + step, 0, 1);
+};
+
+// Dates of one period of the rule; invalid dates such as 31 April are
+// skipped, as RFC 5545 requires
+const periodDates = (start, rule, period) => {
+  const first = periodStart(start, rule, period);
+  const [, month, day] = start.split('-').map(Number);
+
+  if (rule.freq === 'DAILY') {
+    return [fromUtc(first)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byday || [new Date(toUtc(start)).getUTCDay()];
+    return days
+      .map(weekday => (weekday + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(offset => fromUtc(first + offset * DAY_MS));
+  }
+
+  const firstDate = new Date(first);
+  const candidate = new Date(Date.UTC(
+    firstDate.getUTCFullYear(),
+    rule.freq === 'MONTHLY' ? firstDate.getUTCMonth() : month - 1,
+    day
+  ));
+  return candidate.getUTCDate() === day ? [fromUtc(candidate.getTime())] : [];
+};
+
+// Monday of a date's week, as UTC milliseconds
+const mondayOf = (value) => toUtc(value) - ((new Date(toUtc(value)).getUTCDay() + 6) % 7) * DAY_MS;
+
+// Number of the period a date falls in; 0 for dates up to the start
+const periodOf = (start, rule, date) => {
+  if (date <= start) {
+    return 0;
+  }
+
+  const [startYear, startMonth] = start.split('-').map(Number);
+  const [year, month] = date.split('-').map(Number);
+  let periods;
+
+  if (rule.freq === 'DAILY') {
+    periods = Math.round((toUtc(date) - toUtc(start)) / DAY_MS);
+  } else if (rule.freq === 'WEEKLY') {
+    periods = Math.round((mondayOf(date) - mondayOf(start)) / (7 * DAY_MS));
+  } else if (rule.freq === 'MONTHLY') {
+    periods = (year - startYear) * 12 + month - startMonth;
+  } else {
+    periods = year - startYear;
+  }
+
+  return Math.floor(periods / rule.interval);
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Occurrences in the periods before one, ignoring COUNT and UNTIL. Only
+// monthly and yearly rules on the 29th to 31st have periods without a date;
+// which ones do repeats every 400 years, so at most one cycle is walked.
+const countBeforePeriod = (start, rule, period) => {
+  if (period <= 0) {
+    return 0;
+  }
+
+  if (rule.freq === 'DAILY') {
+    return period;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const first = periodDates(start, rule, 0).filter(date => date >= start).length;
+    return first + (period - 1) * (rule.byday ? rule.byday.length : 1);
+  }
+
+  if (Number(start.slice(8, 10)) <= 28) {
+    return period;
+  }
+
+  const countFirst = (periods) => {
+    let count = 0;
+    for (let skipped = 0; skipped < periods; skipped++) {
+      count += periodDates(start, rule, skipped).length;
+    }
+    return count;
+  };
+
+  const cycleUnits = rule.freq === 'MONTHLY' ? 400 * 12 : 400;
+  const cycle = cycleUnits / gcd(rule.interval, cycleUnits);
+  const cycles = Math.floor(period / cycle);
+  return (cycles > 0 ? cycles * countFirst(cycle) : 0) + countFirst(period % cycle);
+};
+
+/**
+ * Dates a repeating entry occurs on within a range. COUNT counts every
+ * occurrence from the start, including ones removed by exdates. Expansion
+ * starts at the period holding `from`, so far-off ranges cost no more than
+ * near ones.
+ *
+ * @param {string} start - First occurrence, YYYY-MM-DD
+ * @param {Object} rule - From parseRRule
+ * @param {Object} options - { from, to, exdates, limit }; from/to are inclusive YYYY-MM-DD
+ * @returns {Array<string>} - Occurrence dates, in order
+ */
+const expandOccurrences = (start, rule, options) => {
+  const { from, to, exdates = [], limit = Infinity } = options;
+  const excluded = new Set(exdates);
+  const last = rule.until && rule.until < to ? rule.until : to;
+  const dates = [];
+  const firstPeriod = periodOf(start, rule, from);
+  let generated = countBeforePeriod(start, rule, firstPeriod);
+
+  for (let period = firstPeriod; periodStart(start, rule, period) <= toUtc(last); period++) {
+    const candidates = periodDates(start, rule, period).filter(date => date >= start);
+
+    for (const date of candidates) {
+      if (date > last || (rule.count && generated >= rule.count)) {
+        return dates;
+      }
+      generated++;
+      if (date >= from && !excluded.has(date)) {
+        dates.push(date);
+        if (dates.length >= limit) {
+          return dates;
+        }
+      }
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Check whether a date is one of a repeating entry's occurrences
+ *
+ * @param {string} start - First occurrence, YYYY-MM-DD
+ * @param {Object} rule - From parseRRule
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<string>} [exdates] - Removed occurrences
+ * @returns {boolean}
+ */
+const isOccurrence = (start, rule, date, exdates = []) => {
+  return expandOccurrences(start, rule, { from: date, to: date, exdates }).length > 0;
+};
+
+/**
+ * Number of occurrences before a date, counting removed ones
+ *
+ * @param {string} start - First occurrence, YYYY-MM-DD
+ * @param {Object} rule - From parseRRule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number}
+ */
+const countOccurrencesBefore = (start, rule, date) => {
+  // Dates after UNTIL don't occur
+  const end = rule.until && rule.until < date ? fromUtc(toUtc(rule.until) + DAY_MS) : date;
+  const period = periodOf(start, rule, end);
+  const count = countBeforePeriod(start, rule, period) +
+    periodDates(start, rule, period).filter(day => day >= start && day < end).length;
+  return rule.count ? Math.min(count, rule.count) : count;
+};
+
+module.exports = {
+  toDateString,
+  toLocalDate,
+  previousDay,
+  parseRRule,
+  validateRRule,
+  formatRRule,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore
+};
@@ -0,0 +1,375 @@
+const { query, transaction } = require('../config/database');
+const { parseTasks } = require('./visionBoardService');
+const { writeVersionedCard } = require('./plannerCardService');
+const { resolveDayCardId } = require('./weeklyPlannerService');
+const { SYNC_TABLES, recordChange } = require('./changeLog');
+const { validateTheme, validateColor } = require('./themeService');
+const { validateGoals } = require('./annualGoalService');
+const { validateWeeklyTasks } = require('./taskLinkService');
+const {
+  isValidDate,
+  validateEntryFields,
+  parseExdates,
+  addEntry,
+  updateEntry,
+  deleteEntry,
+  setDayMood,
+  clearDayMood
+} = require('./calendarService');
+
+// Changes newer than this are held back from pulls. A write transaction can take a
+// sync_changes id and commit after higher ids; once a client's cursor passes an id it
+// never sees it, so pulls stop short of ids that may still belong to an open transaction.
+// Must be longer than the longest planner write transaction.
+const SYNC_COMMIT_LAG_SECONDS = parseInt(process.env.SYNC_COMMIT_LAG_SECONDS, 10) || 10;
+
+const MIND_TOOL_TRACKERS = ['thought_shredder', 'make_me_smile', 'bubble_wrap_popper', 'break_things'];
+
+const CARD_TYPES = ['vision_board', 'weekly_planner', 'annual_calendar'];
+
+// Older clients send the calendar's previous type name
+const TYPE_ALIASES = { calendar_2025: 'calendar' };
+
+// A change that can't be applied; stored as the change's result like any other
+const rejected = (message) => ({ status: 'rejected', message });
+
+/**
+ * Validate the shape of one client change:
+ * { change_id, type, op: 'upsert' | 'delete', data, version?, merge? }
+ *
+ * @param {Object} change - Change from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateChange = (change) => {
+  if (!change || typeof change !== 'object') {
+    return 'Each change must be an object';
+  }
+
+  if (typeof change.change_id !== 'string' || change.change_id.length === 0 || change.change_id.length > 64) {
+    return 'change_id must be a string of 1 to 64 characters';
+  }
+
+  if (!SYNC_TABLES[TYPE_ALIASES[change.type] || change.type]) {
+    return `Change ${change.change_id}: type must be one of ${Object.keys(SYNC_TABLES).join(', ')}`;
+  }
+
+  if (change.op !== 'upsert' && change.op !== 'delete') {
+    return `Change ${change.change_id}: op must be "upsert" or "delete"`;
+  }
+
+  if (!change.data || typeof change.data !== 'object') {
+    return `Change ${change.change_id}: data must be an object`;
+  }
+
+  return null;
+};
+
+// Cards are identified by card_id + theme; id is accepted for deletes
+const applyCardChange = async (txQuery, user, change, options) => {
+  const table = SYNC_TABLES[change.type];
+  const { card_id, theme, tasks, id } = change.data;
+  const expectedVersion = change.version === undefined || change.version === null ? null : parseInt(change.version, 10);
+
+  if (Number.isNaN(expectedVersion)) {
+    return rejected('version must be a number');
+  }
+
+  if (change.op === 'upsert') {
+    if (!card_id || !theme || !tasks) {
+      return rejected('Missing required fields: card_id, theme or tasks');
+    }
+
+    const invalid = validateTheme(theme, change.type) ||
+      (change.type === 'annual_calendar' && validateGoals(tasks)) ||
+      (change.type === 'weekly_planner' && validateWeeklyTasks(tasks));
+    if (invalid) {
+      return rejected(invalid);
+    }
+
+    const result = await writeVersionedCard(txQuery, {
+      table,
+      user,
+      cardId: change.type === 'weekly_planner' ? await resolveDayCardId(txQuery, user.id, theme, card_id) : card_id,
+      theme,
+      tasks,
+      expectedVersion,
+      requireVersion: options.requireVersion,
+      merge: change.merge === true,
+      source: 'sync'
+    });
+
+    if (result.status === 'conflict' || result.status === 'version_required') {
+      return { status: 'conflict', id: result.id, version: result.version, current: formatRow(change.type, result.current) };
+    }
+    return { status: 'applied', id: result.id, version: result.version, merged: result.status === 'merged' };
+  }
+
+  if (!id && (!card_id || !theme)) {
+    return rejected('Missing required fields: id, or card_id and theme');
+  }
+
+  const cards = id
+    ? await txQuery(`SELECT * FROM ${table} WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE`, [id, user.id])
+    : await txQuery(`SELECT * FROM ${table} WHERE user_id = ? AND card_id = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE`, [user.id, card_id, theme]);
+
+  if (cards.length === 0) {
+    // Already gone, which is what the client wanted
+    return { status: 'applied', id: id || null };
+  }
+
+  if (expectedVersion !== null && expectedVersion !== cards[0].version) {
+    return { status: 'conflict', id: cards[0].id, version: cards[0].version, current: formatRow(change.type, cards[0]) };
+  }
+
+  await txQuery(`UPDATE ${table} SET deleted_at = NOW() WHERE id = ?`, [cards[0].id]);
+  await recordChange(txQuery, user.id, table, cards[0].id, 'delete');
+  return { status: 'applied', id: cards[0].id };
+};
+
+// Calendar entries are identified by id; an upsert without one adds an entry
+const applyCalendarChange = async (txQuery, user, change) => {
+  const { id, task_date, task_description, theme } = change.data;
+
+  if (change.op === 'delete') {
+    if (!id) {
+      return rejected('Missing required field: id');
+    }
+    await deleteEntry(txQuery, user.id, id);
+    return { status: 'applied', id };
+  }
+
+  const invalid = validateEntryFields(change.data);
+  if (invalid) {
+    return rejected(invalid);
+  }
+
+  if (id) {
+    const found = await updateEntry(txQuery, user.id, id, change.data);
+    return found ? { status: 'applied', id } : rejected('Calendar entry not found');
+  }
+
+  if (!task_date || !task_description || !theme) {
+    return rejected('Missing required fields: task_date, task_description or theme');
+  }
+
+  const result = await addEntry(txQuery, user, change.data);
+  return { status: 'applied', id: result.id };
+};
+
+// A day's mood is identified by day_date + theme
+const applyCalendarDayChange = async (txQuery, user, change) => {
+  const { day_date, theme, task_type, color_code } = change.data;
+
+  if (!day_date || !theme) {
+    return rejected('Missing required fields: day_date and theme');
+  }
+
+  if (!isValidDate(day_date)) {
+    return rejected('day_date must be a YYYY-MM-DD date');
+  }
+
+  if (change.op === 'delete') {
+    const id = await clearDayMood(txQuery, user.id, day_date, theme);
+    return { status: 'applied', id };
+  }
+
+  if (task_type === undefined || task_type === null || !color_code) {
+    return rejected('Missing required fields: task_type and color_code');
+  }
+
+  const invalid = validateTheme(theme, 'calendar') || validateColor(theme, { task_type, color_code });
+  if (invalid) {
+    return rejected(invalid);
+  }
+
+  const result = await setDayMood(txQuery, user.id, day_date, theme, { task_type, color_code });
+  return { status: 'applied', id: result.id };
+};
+
+// Mind tools activity is one count per tracker per day; the higher count wins
+const applyMindToolsChange = async (txQuery, user, change) => {
+  const { id, tracker_type, activity_date, count } = change.data;
+
+  if ((change.op === 'upsert' || !id) && (!tracker_type || !activity_date)) {
+    return rejected('Missing required fields: tracker_type and activity_date');
+  }
+
+  if (tracker_type && !MIND_TOOL_TRACKERS.includes(tracker_type)) {
+    return rejected('Invalid tracker_type. Must be one of: ' + MIND_TOOL_TRACKERS.join(', '));
+  }
+
+  const date = activity_date ? new Date(activity_date) : null;
+  if (date && Number.isNaN(date.getTime())) {
+    return rejected('Invalid activity_date');
+  }
+  const formattedDate = date ? date.toISOString().split('T')[0] : null;
+
+  const existing = id
+    ? await txQuery('SELECT id, count FROM mind_tools_activity WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE', [id, user.id])
+    : await txQuery(
+      'SELECT id, count FROM mind_tools_activity WHERE user_id = ? AND tracker_type = ? AND activity_date = ? AND deleted_at IS NULL FOR UPDATE',
+      [user.id, tracker_type, formattedDate]
+    );
+
+  if (change.op === 'delete') {
+    if (existing.length > 0) {
+      await txQuery('UPDATE mind_tools_activity SET deleted_at = NOW() WHERE id = ?', [existing[0].id]);
+      await recordChange(txQuery, user.id, 'mind_tools_activity', existing[0].id, 'delete');
+    }
+    return { status: 'applied', id: existing.length > 0 ? existing[0].id : id || null };
+  }
+
+  const newCount = parseInt(count, 10) || 1;
+
+  if (existing.length === 0) {
+    const result = await txQuery(
+      'INSERT INTO mind_tools_activity (user_id, user_name, email, tracker_type, activity_date, count) VALUES (?, ?, ?, ?, ?, ?)',
+      [user.id, user.name, user.email, tracker_type, formattedDate, newCount]
+    );
+    await recordChange(txQuery, user.id, 'mind_tools_activity', result.insertId);
+    return { status: 'applied', id: result.insertId };
+  }
+
+  if (existing[0].count < newCount) {
+    await txQuery('UPDATE mind_tools_activity SET count = ? WHERE id = ?', [newCount, existing[0].id]);
+    await recordChange(txQuery, user.id, 'mind_tools_activity', existing[0].id);
+  }
+  return { status: 'applied', id: existing[0].id };
+};
+
+const applyByType = (txQuery, user, change, options) => {
+  if (CARD_TYPES.includes(change.type)) {
+    return applyCardChange(txQuery, user, change, options);
+  }
+  if (change.type === 'calendar') {
+    return applyCalendarChange(txQuery, user, change);
+  }
+  if (change.type === 'calendar_day') {
+    return applyCalendarDayChange(txQuery, user, change);
+  }
+  return applyMindToolsChange(txQuery, user, change);
+};
+
+const findStoredResult = async (userId, changeId) => {
+  const rows = await query(
+    'SELECT result FROM sync_client_changes WHERE user_id = ? AND change_id = ?',
+    [userId, changeId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  const result = typeof rows[0].result === 'string' ? JSON.parse(rows[0].result) : rows[0].result;
+  return { ...result, duplicate: true };
+};
+
+/**
+ * Apply one client change. A change id is applied at most once: the change
+ * and its result are committed together, and a retry gets the stored result.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {Object} change - A change that passed validateChange
+ * @param {Object} options - { requireVersion } for card upserts
+ * @returns {Promise<Object>} - { change_id, status: 'applied' | 'conflict' | 'rejected', ... }
+ */
+const applyChange = async (user, requestedChange, options) => {
+  const change = { ...requestedChange, type: TYPE_ALIASES[requestedChange.type] || requestedChange.type };
+  const stored = await findStoredResult(user.id, change.change_id);
+  if (stored) {
+    return { change_id: change.change_id, ...stored };
+  }
+
+  try {
+    const result = await transaction(async (txQuery) => {
+      // Claim the change id first; a concurrent retry blocks here, then fails as a duplicate
+      await txQuery(
+        'INSERT INTO sync_client_changes (user_id, change_id) VALUES (?, ?)',
+        [user.id, change.change_id]
+      );
+
+      const outcome = await applyByType(txQuery, user, change, options);
+
+      await txQuery(
+        'UPDATE sync_client_changes SET result = ? WHERE user_id = ? AND change_id = ?',
+        [JSON.stringify(outcome), user.id, change.change_id]
+      );
+      return outcome;
+    });
+
+    return { change_id: change.change_id, ...result };
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      const duplicate = await findStoredResult(user.id, change.change_id);
+      if (duplicate) {
+        return { change_id: change.change_id, ...duplicate };
+      }
+    }
+    throw error;
+  }
+};
+
+// Cards are sent with their tasks parsed, calendar entries with their exdates and completed as a boolean; owner and index columns are left out
+const formatRow = (type, row) => {
+  const { user_id, user_name, email, live_card, ...data } = row;
+  if (CARD_TYPES.includes(type)) {
+    data.tasks = parseTasks(data.tasks);
+  }
+  if (type === 'calendar') {
+    data.exdates = parseExdates(data.exdates);
+    data.completed = Boolean(data.completed);
+  }
+  return data;
+};
+
+/**
+ * Get every record that changed after a cursor, oldest first. Records that
+ * were deleted (trashed or purged) are returned as tombstones ({ type, id, deleted: true }).
+ * Changes from the last SYNC_COMMIT_LAG_SECONDS are left for a later pull.
+ *
+ * @param {number} userId - The user's id
+ * @param {number} cursor - Cursor from the previous sync (0 for everything)
+ * @param {number} limit - Maximum number of records to return
+ * @returns {Promise<Object>} - { changes, cursor, hasMore }
+ */
+const getChangesSince = async (userId, cursor, limit) => {
+  // Only the latest change to each record matters
+  const entries = await query(
+    `SELECT entity_type, entity_id, MAX(id) AS seq FROM sync_changes
+     WHERE user_id = ? AND id > ? AND created_at < NOW() - INTERVAL ? SECOND
+     GROUP BY entity_type, entity_id ORDER BY seq LIMIT ?`,
+    [userId, cursor, SYNC_COMMIT_LAG_SECONDS, limit + 1]
+  );
+
+  const hasMore = entries.length > limit;
+  const page = entries.slice(0, limit);
+
+  const rowsByType = {};
+  for (const type of new Set(page.map(entry => entry.entity_type))) {
+    const ids = page.filter(entry => entry.entity_type === type).map(entry => entry.entity_id);
+    const rows = await query(
+      `SELECT * FROM ${SYNC_TABLES[type]} WHERE user_id = ? AND id IN (?)`,
+      [userId, ids]
+    );
+    rowsByType[type] = new Map(rows.map(row => [row.id, row]));
+  }
+
+  const changes = page.map(entry => {
+    const row = rowsByType[entry.entity_type].get(entry.entity_id);
+    if (!row || row.deleted_at) {
+      return { type: entry.entity_type, id: entry.entity_id, deleted: true };
+    }
+    return { type: entry.entity_type, id: entry.entity_id, deleted: false, data: formatRow(entry.entity_type, row) };
+  });
+
+  return {
+    changes,
+    cursor: page.length > 0 ? page[page.length - 1].seq : cursor,
+    hasMore
+  };
+};
+
+module.exports = {
+  formatRow,
+  validateChange,
+  applyChange,
+  getChangesSince
+};
@@ -0,0 +1,170 @@
+const { query } = require('../config/database');
+const { parseTasks, validateTaskList } = require('./visionBoardService');
+
+// Longest vision_task_id a link can hold (the calendar_entries column size)
+const MAX_VISION_TASK_ID_LENGTH = 255;
+
+/**
+ * Check a link to a vision board task. Links aren't checked against the
+ * vision board: a sync batch may save the action before its goal, and a
+ * link to a task that was deleted later simply stops counting.
+ *
+ * @param {string|null} [value] - vision_task_id from the request; undefined or null means no link
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateVisionTaskId = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_VISION_TASK_ID_LENGTH) {
+    return `vision_task_id must be a vision board task id of at most ${MAX_VISION_TASK_ID_LENGTH} characters, or null`;
+  }
+
+  return null;
+};
+
+/**
+ * Check the vision_task_id of each weekly planner task
+ *
+ * @param {Array|string} tasks - Tasks from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTaskLinks = (tasks) => {
+  for (const task of parseTasks(tasks)) {
+    const invalid = task && typeof task === 'object' ? validateVisionTaskId(task.vision_task_id) : null;
+    if (invalid) {
+      return task.id !== undefined ? `Task ${task.id}: ${invalid}` : invalid;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the tasks of a weekly planner save, the same on every route that
+ * saves them. A list sent as JSON text is checked as the array it holds.
+ *
+ * @param {Array|string} tasks - Tasks from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateWeeklyTasks = (tasks) => {
+  let list = tasks;
+  if (typeof tasks === 'string') {
+    try {
+      list = JSON.parse(tasks);
+    } catch (error) {
+      list = null;
+    }
+  }
+
+  return validateTaskList(list) || validateTaskLinks(list);
+};
+
+// Completion of a group of actions
+const completion = (actions) => ({
+  total: actions.length,
+  completed: actions.filter(action => action.completed).length,
+  percent: actions.length > 0 ? Math.round((actions.filter(action => action.completed).length / actions.length) * 100) : null
+});
+
+// Weekly planner tasks linked to any of the given vision board task ids
+const listWeeklyActions = async (userId, taskIds) => {
+  const cards = await query(
+    `SELECT card_id, theme, iso_week, weekday, tasks FROM weekly_planner_tasks
+     WHERE user_id = ? AND deleted_at IS NULL AND tasks LIKE ? ORDER BY iso_week, weekday, id`,
+    [userId, '%vision_task_id%']
+  );
+
+  const actions = [];
+  cards.forEach(card => {
+    parseTasks(card.tasks)
+      // A rolled-over task lives on as its copy in the next week; only the copy counts
+      .filter(task => task && taskIds.has(task.vision_task_id) && !task.rolled_over_to)
+      .forEach(task => actions.push({
+        source: 'weekly_planner',
+        vision_task_id: task.vision_task_id,
+        card_id: card.card_id,
+        theme: card.theme,
+        iso_week: card.iso_week,
+        weekday: card.weekday,
+        task_id: task.id,
+        text: task.text,
+        completed: Boolean(task.completed)
+      }));
+  });
+
+  return actions;
+};
+
+// Calendar entries linked to any of the given vision board task ids. A
+// repeating entry counts once; occurrences edited on their own don't count
+// separately.
+const listCalendarActions = async (userId, taskIds) => {
+  if (taskIds.size === 0) {
+    return [];
+  }
+
+  const entries = await query(
+    `SELECT id, task_date, task_description, theme, completed, vision_task_id FROM calendar_entries
+     WHERE user_id = ? AND vision_task_id IN (?) AND series_id IS NULL AND deleted_at IS NULL
+     ORDER BY task_date, position, id`,
+    [userId, [...taskIds]]
+  );
+
+  return entries.map(entry => ({
+    source: 'calendar',
+    vision_task_id: entry.vision_task_id,
+    id: entry.id,
+    task_date: entry.task_date,
+    theme: entry.theme,
+    text: entry.task_description,
+    completed: Boolean(entry.completed)
+  }));
+};
+
+/**
+ * Progress of a vision board card from the weekly planner tasks and calendar
+ * entries linked to its tasks, overall and per task
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} card - The vision board card, with `tasks` parsed
+ * @returns {Promise<Object>} - { card_id, theme, overall: { total, completed, percent }, tasks: [{ task_id, text,
+ *   completed, total, completed_actions, percent, actions }] }; percent is null without linked actions
+ */
+const getCardProgress = async (userId, card) => {
+  const tasks = card.tasks.filter(task => task && typeof task.id === 'string');
+  const taskIds = new Set(tasks.map(task => task.id));
+
+  const [weekly, calendar] = await Promise.all([
+    listWeeklyActions(userId, taskIds),
+    listCalendarActions(userId, taskIds)
+  ]);
+  const actions = [...weekly, ...calendar];
+
+  return {
+    card_id: card.card_id,
+    theme: card.theme,
+    overall: completion(actions),
+    tasks: tasks.map(task => {
+      const linked = actions.filter(action => action.vision_task_id === task.id);
+      const { total, completed, percent } = completion(linked);
+      return {
+        task_id: task.id,
+        text: task.text,
+        completed: Boolean(task.completed),
+        total,
+        completed_actions: completed,
+        percent,
+        actions: linked
+      };
+    })
+  };
+};
+
+module.exports = {
+  validateVisionTaskId,
+  validateTaskLinks,
+  validateWeeklyTasks,
+  getCardProgress
+};
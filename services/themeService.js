@@ -0,0 +1,229 @@
+// Boards a theme can be used on, named as in sync
+const BOARDS = ['vision_board', 'weekly_planner', 'annual_calendar', 'calendar'];
+
+// Each theme's palette numbers its colours; a calendar entry or day stores the
+// number as task_type and 'selected-color-<number>' as color_code. The numbers
+// mean the same mood in every theme, only the hex values change.
+const THEMES = [
+  {
+    id: 'animal',
+    name: 'Animal',
+    boards: BOARDS,
+    palette: [
+      { number: 1, hex: '#ff6f61', label: 'Energised' },
+      { number: 2, hex: '#ffb347', label: 'Happy' },
+      { number: 3, hex: '#77dd77', label: 'Calm' },
+      { number: 4, hex: '#84b6f4', label: 'Tired' },
+      { number: 5, hex: '#b39eb5', label: 'Stressed' }
+    ]
+  },
+  {
+    id: 'post_it',
+    name: 'Post-it',
+    boards: BOARDS,
+    palette: [
+      { number: 1, hex: '#ff7eb9', label: 'Energised' },
+      { number: 2, hex: '#fff740', label: 'Happy' },
+      { number: 3, hex: '#7afcff', label: 'Calm' },
+      { number: 4, hex: '#feff9c', label: 'Tired' },
+      { number: 5, hex: '#ff65a3', label: 'Stressed' }
+    ]
+  },
+  {
+    id: 'winter_warmth',
+    name: 'Winter Warmth',
+    boards: BOARDS,
+    palette: [
+      { number: 1, hex: '#c0392b', label: 'Energised' },
+      { number: 2, hex: '#e67e22', label: 'Happy' },
+      { number: 3, hex: '#5d8aa8', label: 'Calm' },
+      { number: 4, hex: '#a9a9a9', label: 'Tired' },
+      { number: 5, hex: '#6c3483', label: 'Stressed' }
+    ]
+  }
+];
+
+// Saves with a theme or colour the registry doesn't list are rejected. While
+// older app builds are phased out, ALLOW_UNLISTED_THEMES=true accepts them
+// instead and logs each unlisted value once.
+const ALLOW_UNLISTED_THEMES = process.env.ALLOW_UNLISTED_THEMES === 'true';
+
+// Colour numbers every theme has; checked when a save doesn't name its theme
+const SHARED_COLOR_NUMBERS = THEMES[0].palette
+  .map(color => color.number)
+  .filter(number => THEMES.every(theme => theme.palette.some(color => color.number === number)));
+
+const COLOR_CODE_PATTERN = /^selected-color-(\d+)$/;
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Longest color_code the calendar tables store
+const MAX_COLOR_CODE_LENGTH = 20;
+
+// Messages already logged for accepted unlisted values; past the limit,
+// further values are accepted without logging
+const loggedUnlisted = new Set();
+const MAX_LOGGED_UNLISTED = 1000;
+
+// An error, or with ALLOW_UNLISTED_THEMES logged (once per message) and let through
+const unlisted = (message, details) => {
+  if (!ALLOW_UNLISTED_THEMES) {
+    return message;
+  }
+  if (!loggedUnlisted.has(message) && loggedUnlisted.size < MAX_LOGGED_UNLISTED) {
+    loggedUnlisted.add(message);
+    console.warn(`Unlisted theme value accepted: ${message}`, details);
+  }
+  return null;
+};
+
+/**
+ * Find a theme in the registry
+ *
+ * @param {string} id - e.g. 'animal'
+ * @returns {Object|null}
+ */
+const findTheme = (id) => THEMES.find(theme => theme.id === id) || null;
+
+/**
+ * Themes, optionally only those allowed on a board
+ *
+ * @param {string} [board] - One of BOARDS
+ * @returns {Array<Object>}
+ */
+const listThemes = (board) => {
+  return board ? THEMES.filter(theme => theme.boards.includes(board)) : THEMES;
+};
+
+/**
+ * Check that a theme is listed and allowed on a board
+ *
+ * @param {string} theme - Theme id from the request
+ * @param {string} board - One of BOARDS
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTheme = (theme, board) => {
+  if (typeof theme !== 'string' || theme === '') {
+    return 'theme must be a non-empty string';
+  }
+
+  const listed = findTheme(theme);
+  if (listed && listed.boards.includes(board)) {
+    return null;
+  }
+
+  return unlisted(
+    listed ? `Theme ${theme} can't be used on the ${board} board` : `Unknown theme: ${theme}. See GET /api/themes`,
+    { theme, board }
+  );
+};
+
+/**
+ * Number of the colour a task_type/color_code pair names. A task_type wins
+ * over a hex color_code, as the app has always sent both.
+ *
+ * @param {Object} fields - { task_type, color_code }
+ * @returns {number|null} - null if neither names a colour
+ */
+const colorNumber = (fields) => {
+  if (fields.task_type !== undefined && fields.task_type !== null && /^\d+$/.test(String(fields.task_type))) {
+    return parseInt(fields.task_type, 10);
+  }
+
+  const match = COLOR_CODE_PATTERN.exec(fields.color_code || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Check a task_type/color_code pair against a theme's palette. Both null
+ * clears the colour; a color_code may be 'selected-color-<number>' or the
+ * colour's hex value. The colour is stored as its number, so a task_type is
+ * needed unless color_code is 'selected-color-<number>'. Without a theme (an
+ * update that keeps the entry's theme) the number must be one every theme
+ * has. Colours outside the palette are accepted with ALLOW_UNLISTED_THEMES.
+ *
+ * @param {string} [theme] - Theme id; undefined when an update keeps the entry's theme
+ * @param {Object} fields - { task_type, color_code }; both undefined is valid
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateColor = (theme, fields) => {
+  const { task_type, color_code } = fields;
+  const hasType = task_type !== undefined && task_type !== null;
+  const hasCode = color_code !== undefined && color_code !== null;
+
+  if (!hasType && !hasCode) {
+    return null;
+  }
+
+  if (hasType && !/^\d+$/.test(String(task_type))) {
+    return 'task_type must be a colour number';
+  }
+
+  if (hasCode && (typeof color_code !== 'string' || color_code.length > MAX_COLOR_CODE_LENGTH)) {
+    return `color_code must be a string of at most ${MAX_COLOR_CODE_LENGTH} characters`;
+  }
+
+  const codeMatch = COLOR_CODE_PATTERN.exec(hasCode ? color_code : '');
+  if (!hasType && !codeMatch) {
+    return 'task_type is required unless color_code is selected-color-<number>';
+  }
+
+  if (hasCode && !codeMatch && !HEX_PATTERN.test(color_code)) {
+    return 'color_code must be selected-color-<number> or a #rrggbb colour';
+  }
+
+  const number = colorNumber(fields);
+  if (codeMatch && hasType && parseInt(codeMatch[1], 10) !== number) {
+    return `color_code ${color_code} doesn't match task_type ${task_type}`;
+  }
+
+  const details = { theme, task_type, color_code };
+
+  if (theme === undefined) {
+    return SHARED_COLOR_NUMBERS.includes(number)
+      ? null
+      : unlisted(`task_type must be one of the colours ${SHARED_COLOR_NUMBERS.join(', ')}`, details);
+  }
+
+  // Unlisted themes were already checked by validateTheme
+  const listed = findTheme(theme);
+  if (!listed) {
+    return null;
+  }
+
+  const color = listed.palette.find(entry => entry.number === number);
+  if (!color) {
+    return unlisted(`task_type must be one of the ${listed.name} theme's colours: ${listed.palette.map(entry => entry.number).join(', ')}`, details);
+  }
+
+  if (HEX_PATTERN.test(hasCode ? color_code : '') && color_code.toLowerCase() !== color.hex.toLowerCase()) {
+    return unlisted(`color_code ${color_code} isn't colour ${number} of the ${listed.name} theme (${color.hex})`, details);
+  }
+
+  return null;
+};
+
+/**
+ * The stored form of a validated task_type/color_code pair
+ *
+ * @param {Object} fields - { task_type, color_code }
+ * @returns {Object} - { task_type, color_code }; both undefined if neither was given, both null to clear
+ */
+const canonicalColor = (fields) => {
+  if (fields.task_type === undefined && fields.color_code === undefined) {
+    return { task_type: undefined, color_code: undefined };
+  }
+
+  const number = colorNumber(fields);
+  return number === null
+    ? { task_type: null, color_code: null }
+    : { task_type: number, color_code: `selected-color-${number}` };
+};
+
+module.exports = {
+  BOARDS,
+  findTheme,
+  listThemes,
+  validateTheme,
+  validateColor,
+  canonicalColor
+};
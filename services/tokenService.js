@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const { query } = require('../config/database');
+
+// Load environment variables
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'reconstrect_app_secret_key';
+
+// Access tokens are short-lived; the app uses the refresh token to get a new one
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Matches refresh_tokens.user_agent VARCHAR(255); strict SQL mode rejects longer values
+const MAX_USER_AGENT_LENGTH = 255;
+
+/**
+ * Hash a token for storage; only the hash is kept in the database
+ *
+ * @param {string} token - The raw token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Insert a new refresh token for a session family
+ *
+ * @param {number} userId - The user the session belongs to
+ * @param {string} familyId - Identifies the login session across rotations
+ * @param {string} [userAgent] - Client user agent, for the session list
+ * @returns {Promise<string>} - The raw refresh token to hand to the client
+ */
+const createRefreshToken = async (userId, familyId, userAgent) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  // Count code points, not UTF-16 units, so a surrogate pair is never split
+  const storedUserAgent = userAgent
+    ? Array.from(String(userAgent)).slice(0, MAX_USER_AGENT_LENGTH).join('')
+    : null;
+
+  await query(
+    'INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [userId, hashToken(refreshToken), familyId, storedUserAgent, expiresAt]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Sign a short-lived access token
+ *
+ * @param {number} userId - The user's id
+ * @param {string} email - The user's email
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (userId, email) => {
+  return jwt.sign({ id: userId, email }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+/**
+ * Start a new session: an access token plus a refresh token in a new family
+ *
+ * @param {number} userId - The user's id
+ * @param {string} email - The user's email
+ * @param {string} [userAgent] - Client user agent
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+const issueSession = async (userId, email, userAgent) => {
+  const familyId = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(userId, familyId, userAgent);
+
+  return {
+    token: signAccessToken(userId, email),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * The presented token is revoked; presenting an already rotated token
+ * is treated as theft and revokes the whole session family.
+ *
+ * @param {string} refreshToken - The raw refresh token from the client
+ * @param {string} [userAgent] - Client user agent
+ * @returns {Promise<Object|null>} - New session and user, or null if rejected
+ */
+const rotateRefreshToken = async (refreshToken, userAgent) => {
+  const records = await query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+
+  if (records.length === 0) {
+    return null;
+  }
+
+  const record = records[0];
+
+  if (record.revoked_at) {
+    if (record.replaced_by) {
+      console.warn(`Refresh token reuse detected for user ${record.user_id}, revoking session ${record.family_id}`);
+      await revokeFamily(record.family_id);
+    }
+    return null;
+  }
+
+  if (new Date(record.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const users = await query('SELECT id, name, email FROM user WHERE id = ?', [record.user_id]);
+  if (users.length === 0) {
+    return null;
+  }
+  const user = users[0];
+
+  const newRefreshToken = await createRefreshToken(user.id, record.family_id, userAgent);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const result = await query(
+    'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+    [hashToken(newRefreshToken), record.id]
+  );
+
+  if (result.affectedRows === 0) {
+    await revokeFamily(record.family_id);
+    return null;
+  }
+
+  return {
+    user,
+    token: signAccessToken(user.id, user.email),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/**
+ * Revoke every refresh token in a session family
+ *
+ * @param {string} familyId - The session family
+ * @returns {Promise}
+ */
+const revokeFamily = (familyId) => {
+  return query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ *
+ * @param {string} refreshToken - The raw refresh token
+ * @returns {Promise<boolean>} - Whether a session was found
+ */
+const revokeSession = async (refreshToken) => {
+  const records = await query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+
+  if (records.length === 0) {
+    return false;
+  }
+
+  await revokeFamily(records[0].family_id);
+  return true;
+};
+
+/**
+ * Revoke every session for a user
+ *
+ * @param {number} userId - The user's id
+ * @returns {Promise<number>} - Number of refresh tokens revoked
+ */
+const revokeAllSessions = async (userId) => {
+  const result = await query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
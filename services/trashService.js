@@ -0,0 +1,197 @@
+const dotenv = require('dotenv');
+const { query, transaction } = require('../config/database');
+const { parseTasks } = require('./visionBoardService');
+const { formatRow } = require('./syncService');
+const { SYNC_TABLES, recordChange, recordRevision } = require('./changeLog');
+
+// Load environment variables
+dotenv.config();
+
+// Deleted items can be restored for this long before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Columns that identify a record; a deleted record can't be restored over a live one with the same values.
+// Calendar entries have none: a day can hold any number of them.
+const NATURAL_KEYS = {
+  vision_board: ['card_id', 'theme'],
+  weekly_planner: ['card_id', 'theme'],
+  annual_calendar: ['card_id', 'theme'],
+  calendar_day: ['day_date', 'theme'],
+  mind_tools: ['tracker_type', 'activity_date']
+};
+
+const CARD_TYPES = ['vision_board', 'weekly_planner', 'annual_calendar'];
+
+// The `task` JSON column comes back from mysql as a string
+const parseTask = (value) => {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * List a user's deleted records and card tasks that are still within the retention period
+ *
+ * @param {number} userId - The user's id
+ * @returns {Promise<Array>} - Items, most recently deleted first: { type, id, deleted_at, data }
+ */
+const listTrash = async (userId) => {
+  const items = [];
+
+  for (const [type, table] of Object.entries(SYNC_TABLES)) {
+    const rows = await query(
+      `SELECT * FROM ${table}
+       WHERE user_id = ? AND deleted_at IS NOT NULL AND deleted_at > NOW() - INTERVAL ? DAY`,
+      [userId, TRASH_RETENTION_DAYS]
+    );
+    rows.forEach(row => {
+      items.push({ type, id: row.id, deleted_at: row.deleted_at, data: formatRow(type, row) });
+    });
+  }
+
+  const tasks = await query(
+    `SELECT * FROM deleted_card_tasks
+     WHERE user_id = ? AND deleted_at > NOW() - INTERVAL ? DAY`,
+    [userId, TRASH_RETENTION_DAYS]
+  );
+  tasks.forEach(row => {
+    items.push({
+      type: 'task',
+      id: row.id,
+      deleted_at: row.deleted_at,
+      card: { type: row.entity_type, id: row.card_row_id },
+      data: parseTask(row.task)
+    });
+  });
+
+  return items.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+};
+
+/**
+ * Restore a deleted record
+ *
+ * @param {number} userId - The user's id
+ * @param {string} type - Sync entity type (vision_board, calendar, ...)
+ * @param {number} id - The record's id
+ * @returns {Promise<Object|null>} - { status: 'restored', data } or { status: 'conflict', current };
+ *   null if the record isn't in the trash
+ */
+const restoreRecord = (userId, type, id) => {
+  const table = SYNC_TABLES[type];
+
+  return transaction(async (txQuery) => {
+    const rows = await txQuery(
+      `SELECT * FROM ${table} WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id, userId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    const keys = NATURAL_KEYS[type];
+    if (keys) {
+      const live = await txQuery(
+        `SELECT * FROM ${table} WHERE user_id = ? AND ${keys.map(key => `${key} = ?`).join(' AND ')} AND deleted_at IS NULL`,
+        [userId, ...keys.map(key => row[key])]
+      );
+
+      if (live.length > 0) {
+        return { status: 'conflict', current: formatRow(type, live[0]) };
+      }
+    }
+
+    // Cards get a new version so devices holding the deleted copy can't overwrite it
+    const versionClause = CARD_TYPES.includes(type) ? ', version = version + 1' : '';
+    await txQuery(`UPDATE ${table} SET deleted_at = NULL${versionClause} WHERE id = ?`, [id]);
+    await recordChange(txQuery, userId, table, id);
+
+    const restored = await txQuery(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    return { status: 'restored', data: formatRow(type, restored[0]) };
+  });
+};
+
+/**
+ * Put a deleted task back on its card, at its old position if it still fits
+ *
+ * @param {number} userId - The user's id
+ * @param {number} trashId - deleted_card_tasks.id
+ * @returns {Promise<Object|null>} - { status: 'restored', card } or
+ *   { status: 'conflict' | 'card_missing', message }; null if the task isn't in the trash
+ */
+const restoreTask = (userId, trashId) => {
+  return transaction(async (txQuery) => {
+    const trashed = await txQuery(
+      'SELECT * FROM deleted_card_tasks WHERE id = ? AND user_id = ? FOR UPDATE',
+      [trashId, userId]
+    );
+
+    if (trashed.length === 0) {
+      return null;
+    }
+
+    const entry = trashed[0];
+    const table = SYNC_TABLES[entry.entity_type];
+    const cards = await txQuery(
+      `SELECT * FROM ${table} WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE`,
+      [entry.card_row_id, userId]
+    );
+
+    if (cards.length === 0) {
+      return { status: 'card_missing', message: 'The card this task was on is deleted; restore the card first' };
+    }
+
+    const task = parseTask(entry.task);
+    const oldTasks = parseTasks(cards[0].tasks);
+    const tasks = [...oldTasks];
+
+    if (task && task.id !== undefined && tasks.some(existing => existing.id === task.id)) {
+      return { status: 'conflict', message: `A task with id ${task.id} is already on the card` };
+    }
+
+    tasks.splice(Math.min(entry.position, tasks.length), 0, task);
+
+    await txQuery(
+      `UPDATE ${table} SET tasks = ?, version = version + 1, updated_at = NOW() WHERE id = ?`,
+      [JSON.stringify(tasks), cards[0].id]
+    );
+    await txQuery('DELETE FROM deleted_card_tasks WHERE id = ?', [entry.id]);
+    await recordRevision(txQuery, userId, table, cards[0], oldTasks, tasks, 'trash_restore');
+    await recordChange(txQuery, userId, table, cards[0].id);
+
+    const card = formatRow(entry.entity_type, { ...cards[0], tasks, version: cards[0].version + 1 });
+    return { status: 'restored', card };
+  });
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ *
+ * @returns {Promise<number>} - Number of records and tasks deleted
+ */
+const purgeTrash = async () => {
+  let purged = 0;
+
+  for (const table of Object.values(SYNC_TABLES)) {
+    const result = await query(
+      `DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at <= NOW() - INTERVAL ? DAY`,
+      [TRASH_RETENTION_DAYS]
+    );
+    purged += result.affectedRows;
+  }
+
+  const result = await query(
+    'DELETE FROM deleted_card_tasks WHERE deleted_at <= NOW() - INTERVAL ? DAY',
+    [TRASH_RETENTION_DAYS]
+  );
+  purged += result.affectedRows;
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  listTrash,
+  restoreRecord,
+  restoreTask,
+  purgeTrash
+};
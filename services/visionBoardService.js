@@ -0,0 +1,272 @@
+const { query, transaction } = require('../config/database');
+const { recordChange, trashRemovedTasks, recordRevision } = require('./changeLog');
+
+const MAX_TASK_TEXT_LENGTH = 1000;
+
+/**
+ * The `tasks` JSON column comes back from mysql as a string; parse it into an array
+ *
+ * @param {string|Array} value - Column value
+ * @returns {Array}
+ */
+const parseTasks = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate one vision board task: { id, text, completed }
+ *
+ * @param {Object} task - Task from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTask = (task) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    return 'Each task must be an object';
+  }
+
+  if (typeof task.id !== 'string' || task.id.trim().length === 0) {
+    return 'Task id must be a non-empty string';
+  }
+
+  if (typeof task.text !== 'string' || task.text.trim().length === 0) {
+    return `Task ${task.id}: text must be a non-empty string`;
+  }
+
+  if (task.text.length > MAX_TASK_TEXT_LENGTH) {
+    return `Task ${task.id}: text must be at most ${MAX_TASK_TEXT_LENGTH} characters`;
+  }
+
+  if (typeof task.completed !== 'boolean') {
+    return `Task ${task.id}: completed must be true or false`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate a whole task list, including that task ids are unique
+ *
+ * @param {Array} tasks - Tasks from the request
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTaskList = (tasks) => {
+  if (!Array.isArray(tasks)) {
+    return 'tasks must be an array';
+  }
+
+  const seen = new Set();
+  for (const task of tasks) {
+    const error = validateTask(task);
+    if (error) {
+      return error;
+    }
+    if (seen.has(task.id)) {
+      return `Duplicate task id: ${task.id}`;
+    }
+    seen.add(task.id);
+  }
+
+  return null;
+};
+
+// Keep only the fields we store for a validated task. Tasks already on a card
+// are written back as they are: older saves stored whatever clients sent.
+const cleanTask = (task) => ({
+  text: task.text.trim(),
+  completed: task.completed,
+  id: task.id
+});
+
+/**
+ * List a user's vision board cards
+ *
+ * @param {number} userId - The user's id
+ * @param {Object} filters - { category, theme }, both optional
+ * @returns {Promise<Array>} - Cards with `tasks` parsed
+ */
+const listCards = async (userId, filters = {}) => {
+  let sql = 'SELECT * FROM vision_board_tasks WHERE user_id = ? AND deleted_at IS NULL';
+  const params = [userId];
+
+  if (filters.category) {
+    sql += ' AND card_id = ?';
+    params.push(filters.category);
+  }
+
+  if (filters.theme) {
+    sql += ' AND theme = ?';
+    params.push(filters.theme);
+  }
+
+  const cards = await query(sql + ' ORDER BY id', params);
+  return cards.map(({ live_card, ...card }) => ({ ...card, tasks: parseTasks(card.tasks) }));
+};
+
+/**
+ * Find the card holding a task. card_id/theme narrow the search when the client knows them.
+ *
+ * @param {number} userId - The user's id
+ * @param {string} taskId - The task id
+ * @param {Object} filters - { category, theme }, both optional
+ * @returns {Promise<Object|null>} - The card, or null if no card has the task
+ */
+const findCardWithTask = async (userId, taskId, filters = {}) => {
+  const cards = await listCards(userId, filters);
+  return cards.find(card => card.tasks.some(task => task && task.id === taskId)) || null;
+};
+
+/**
+ * Create a card, or replace the task list of an existing one
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} cardId - The card (category) id
+ * @param {string} theme - The board theme
+ * @param {Array} tasks - A validated task list
+ * @returns {Promise<Object>} - { id, created }
+ */
+const saveCard = (user, cardId, theme, tasks) => {
+  return transaction(async (txQuery) => {
+    const existing = await txQuery(
+      'SELECT id, tasks, version FROM vision_board_tasks WHERE user_id = ? AND card_id = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE',
+      [user.id, cardId, theme]
+    );
+
+    const cleanTasks = tasks.map(cleanTask);
+    const json = JSON.stringify(cleanTasks);
+
+    if (existing.length > 0) {
+      await txQuery(
+        'UPDATE vision_board_tasks SET tasks = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+        [json, existing[0].id]
+      );
+      const oldTasks = parseTasks(existing[0].tasks);
+      await trashRemovedTasks(txQuery, user.id, 'vision_board_tasks', existing[0].id, oldTasks, cleanTasks);
+      await recordRevision(txQuery, user.id, 'vision_board_tasks', existing[0], oldTasks, cleanTasks, 'vision_board');
+      await recordChange(txQuery, user.id, 'vision_board_tasks', existing[0].id);
+      return { id: existing[0].id, created: false };
+    }
+
+    const result = await txQuery(
+      'INSERT INTO vision_board_tasks (user_id, user_name, email, card_id, tasks, theme) VALUES (?, ?, ?, ?, ?, ?)',
+      [user.id, user.name, user.email, cardId, json, theme]
+    );
+    await recordChange(txQuery, user.id, 'vision_board_tasks', result.insertId);
+    return { id: result.insertId, created: true };
+  });
+};
+
+// Errors from two transactions creating the same card at once (see uniq_live_vision_card)
+const CARD_CREATE_RACE_ERRORS = ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK'];
+
+// Run a create-or-update transaction, once more if a concurrent one created the card first
+const withCardCreateRetry = async (work) => {
+  try {
+    return await transaction(work);
+  } catch (error) {
+    if (!CARD_CREATE_RACE_ERRORS.includes(error.code)) {
+      throw error;
+    }
+    return transaction(work);
+  }
+};
+
+/**
+ * Add one task to a card, creating the card if it doesn't exist yet.
+ * Lookup and write share one transaction, so concurrent first adds both end up on the card.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} cardId - The card (category) id
+ * @param {string} theme - The board theme
+ * @param {Object} task - A validated task
+ * @returns {Promise<Object>} - { status, id }, where status is 'created', 'added' or 'duplicate'
+ */
+const addCardTask = (user, cardId, theme, task) => {
+  return withCardCreateRetry(async (txQuery) => {
+    const existing = await txQuery(
+      'SELECT id, tasks, version FROM vision_board_tasks WHERE user_id = ? AND card_id = ? AND theme = ? AND deleted_at IS NULL FOR UPDATE',
+      [user.id, cardId, theme]
+    );
+
+    if (existing.length === 0) {
+      const result = await txQuery(
+        'INSERT INTO vision_board_tasks (user_id, user_name, email, card_id, tasks, theme) VALUES (?, ?, ?, ?, ?, ?)',
+        [user.id, user.name, user.email, cardId, JSON.stringify([cleanTask(task)]), theme]
+      );
+      await recordChange(txQuery, user.id, 'vision_board_tasks', result.insertId);
+      return { status: 'created', id: result.insertId };
+    }
+
+    const oldTasks = parseTasks(existing[0].tasks);
+    if (oldTasks.some(current => current && current.id === task.id)) {
+      return { status: 'duplicate', id: existing[0].id };
+    }
+
+    const tasks = [...oldTasks, cleanTask(task)];
+    await txQuery(
+      'UPDATE vision_board_tasks SET tasks = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+      [JSON.stringify(tasks), existing[0].id]
+    );
+    await recordRevision(txQuery, user.id, 'vision_board_tasks', existing[0], oldTasks, tasks, 'vision_board');
+    await recordChange(txQuery, user.id, 'vision_board_tasks', existing[0].id);
+    return { status: 'added', id: existing[0].id };
+  });
+};
+
+/**
+ * Change the task list of one card under a row lock, so concurrent
+ * per-task edits don't overwrite each other
+ *
+ * @param {number} userId - The user's id
+ * @param {number} cardRowId - vision_board_tasks.id of the card
+ * @param {Function} update - Receives the current tasks, returns the new list (or null to leave it).
+ *   The list is saved as returned, so tasks the update adds or edits must be validated and cleaned (cleanTask).
+ * @returns {Promise<Array|null>} - The saved tasks, or null if nothing changed
+ */
+const updateCardTasks = (userId, cardRowId, update) => {
+  return transaction(async (txQuery) => {
+    const cards = await txQuery(
+      'SELECT id, tasks, version FROM vision_board_tasks WHERE id = ? AND user_id = ? AND deleted_at IS NULL FOR UPDATE',
+      [cardRowId, userId]
+    );
+
+    if (cards.length === 0) {
+      return null;
+    }
+
+    const currentTasks = parseTasks(cards[0].tasks);
+    const tasks = update(currentTasks);
+    if (!tasks) {
+      return null;
+    }
+
+    await txQuery(
+      'UPDATE vision_board_tasks SET tasks = ?, version = version + 1, updated_at = NOW() WHERE id = ?',
+      [JSON.stringify(tasks), cardRowId]
+    );
+    await trashRemovedTasks(txQuery, userId, 'vision_board_tasks', cardRowId, currentTasks, tasks);
+    await recordRevision(txQuery, userId, 'vision_board_tasks', cards[0], currentTasks, tasks, 'vision_board');
+    await recordChange(txQuery, userId, 'vision_board_tasks', cardRowId);
+    return tasks;
+  });
+};
+
+module.exports = {
+  parseTasks,
+  validateTask,
+  validateTaskList,
+  cleanTask,
+  listCards,
+  findCardWithTask,
+  saveCard,
+  addCardTask,
+  updateCardTasks
+};
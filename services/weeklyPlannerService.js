@@ -0,0 +1,226 @@
+const { query, transaction } = require('../config/database');
+const { parseTasks } = require('./visionBoardService');
+const { writeVersionedCard } = require('./plannerCardService');
+const { isoWeekOf, weekdayDate, addWeeks, weeksBetween, dayCardId, parseWeekdayName } = require('./isoWeekService');
+
+const TABLE = 'weekly_planner_tasks';
+
+// Most weeks returned by one range query
+const MAX_RANGE_WEEKS = 53;
+
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+const formatDay = (isoWeek, weekday, card) => ({
+  weekday,
+  date: weekdayDate(isoWeek, weekday),
+  id: card ? card.id : null,
+  card_id: card ? card.card_id : dayCardId(isoWeek, weekday),
+  version: card ? card.version : null,
+  tasks: card ? parseTasks(card.tasks) : [],
+  updated_at: card ? card.updated_at : null
+});
+
+/**
+ * List the weeks between two ISO weeks, each with all seven days. Days
+ * without a card have no id and no tasks.
+ *
+ * @param {number} userId - The user's id
+ * @param {string} theme - The planner theme
+ * @param {string} from - First ISO week, e.g. 2026-W40
+ * @param {string} to - Last ISO week, inclusive
+ * @returns {Promise<Array<Object>>} - [{ iso_week, from, to, days }], where from/to are the Monday and Sunday
+ */
+const listWeeks = async (userId, theme, from, to) => {
+  const cards = await query(
+    `SELECT id, card_id, iso_week, weekday, tasks, theme, version, created_at, updated_at FROM ${TABLE}
+     WHERE user_id = ? AND theme = ? AND iso_week BETWEEN ? AND ? AND deleted_at IS NULL
+     ORDER BY iso_week, weekday, id`,
+    [userId, theme, from, to]
+  );
+
+  // A day has one card; should there be more (e.g. saved by an older app build), the oldest is used
+  const byDay = new Map();
+  cards.forEach(card => {
+    const key = `${card.iso_week}|${card.weekday}`;
+    if (!byDay.has(key)) {
+      byDay.set(key, card);
+    }
+  });
+
+  const weeks = [];
+  for (let offset = 0; offset <= weeksBetween(from, to); offset++) {
+    const isoWeek = addWeeks(from, offset);
+    weeks.push({
+      iso_week: isoWeek,
+      from: weekdayDate(isoWeek, 1),
+      to: weekdayDate(isoWeek, 7),
+      days: WEEKDAYS.map(weekday => formatDay(isoWeek, weekday, byDay.get(`${isoWeek}|${weekday}`)))
+    });
+  }
+
+  return weeks;
+};
+
+// The card of one day, locked for the rest of the transaction
+const findDayCard = async (txQuery, userId, theme, isoWeek, weekday) => {
+  const cards = await txQuery(
+    `SELECT * FROM ${TABLE} WHERE user_id = ? AND theme = ? AND iso_week = ? AND weekday = ? AND deleted_at IS NULL
+     ORDER BY id LIMIT 1 FOR UPDATE`,
+    [userId, theme, isoWeek, weekday]
+  );
+  return cards.length > 0 ? cards[0] : null;
+};
+
+/**
+ * card_id a weekly planner save goes to. Older app builds name their cards
+ * after a weekday (Monday, mon, ...); such a save is for that day of the
+ * current week (server time), so it goes to that day's card, or a new
+ * <iso_week>-<weekday> card if the day has none yet. Other card_ids are kept.
+ *
+ * @param {Function} txQuery - Query function of the open transaction
+ * @param {number} userId - The user's id
+ * @param {string} theme - The planner theme
+ * @param {string} cardId - card_id from the request
+ * @returns {Promise<string>}
+ */
+const resolveDayCardId = async (txQuery, userId, theme, cardId) => {
+  const weekday = parseWeekdayName(cardId);
+  if (weekday === null) {
+    return cardId;
+  }
+
+  const isoWeek = isoWeekOf(new Date());
+  const card = await findDayCard(txQuery, userId, theme, isoWeek, weekday);
+  return card ? card.card_id : dayCardId(isoWeek, weekday);
+};
+
+/**
+ * The weekly planner cards as older app builds should see them. Those builds
+ * address days by weekday name, and their saves go to that day of the current
+ * week (resolveDayCardId). So each weekday-named card is shown with the
+ * current week's card for its day, under the name the build knows, or left
+ * out if that day has no card yet. The version then matches the card the
+ * next save goes to.
+ *
+ * @param {Array<Object>} cards - The user's cards, as stored
+ * @returns {Array<Object>}
+ */
+const forLegacyBuilds = (cards) => {
+  const isoWeek = isoWeekOf(new Date());
+  const dayCard = (theme, weekday) => cards
+    .filter(card => card.theme === theme && card.iso_week === isoWeek && card.weekday === weekday)
+    .sort((a, b) => a.id - b.id)[0];
+
+  return cards.flatMap(card => {
+    const weekday = parseWeekdayName(card.card_id);
+    if (weekday === null) {
+      return [card];
+    }
+    const current = dayCard(card.theme, weekday);
+    return current ? [{ ...current, card_id: card.card_id }] : [];
+  });
+};
+
+/**
+ * Save the tasks of one day of a week, with the same version checks as other
+ * card saves (see writeVersionedCard). The day's card is created if needed.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} theme - The planner theme
+ * @param {string} isoWeek - e.g. 2026-W43
+ * @param {number} weekday - 1 (Monday) to 7 (Sunday)
+ * @param {Array} tasks - Tasks from the request
+ * @param {Object} options - { expectedVersion, requireVersion, merge }
+ * @returns {Promise<Object>} - As writeVersionedCard
+ */
+const saveDay = (user, theme, isoWeek, weekday, tasks, options) => {
+  return transaction(async (txQuery) => {
+    const card = await findDayCard(txQuery, user.id, theme, isoWeek, weekday);
+
+    return writeVersionedCard(txQuery, {
+      table: TABLE,
+      user,
+      cardId: card ? card.card_id : dayCardId(isoWeek, weekday),
+      theme,
+      tasks,
+      expectedVersion: options.expectedVersion,
+      requireVersion: options.requireVersion,
+      merge: options.merge,
+      source: 'weekly_planner'
+    });
+  });
+};
+
+/**
+ * Carry a week's incomplete tasks over to the same weekday of the next week.
+ * Carried tasks keep their id and get rolled_over_from; the originals stay
+ * in place with rolled_over_to, so rolling over again doesn't copy them twice.
+ *
+ * @param {Object} user - { id, name, email }
+ * @param {string} theme - The planner theme
+ * @param {string} isoWeek - The week to roll over, e.g. 2026-W43
+ * @returns {Promise<Object>} - { from, to, rolled_over, days: [{ weekday, tasks }] } with the number of tasks carried per day
+ */
+const rolloverWeek = (user, theme, isoWeek) => {
+  const nextWeek = addWeeks(isoWeek, 1);
+
+  return transaction(async (txQuery) => {
+    const days = [];
+
+    for (const weekday of WEEKDAYS) {
+      const card = await findDayCard(txQuery, user.id, theme, isoWeek, weekday);
+      const tasks = card ? parseTasks(card.tasks) : [];
+      const pending = tasks.filter(task => task && !task.completed && !task.rolled_over_to);
+
+      if (pending.length === 0) {
+        continue;
+      }
+
+      const target = await findDayCard(txQuery, user.id, theme, nextWeek, weekday);
+      const targetTasks = target ? parseTasks(target.tasks) : [];
+      const targetIds = new Set(targetTasks.map(task => task && task.id));
+      const carried = pending
+        .filter(task => !targetIds.has(task.id))
+        .map(task => ({ ...task, rolled_over_from: isoWeek }));
+
+      await writeVersionedCard(txQuery, {
+        table: TABLE,
+        user,
+        cardId: target ? target.card_id : dayCardId(nextWeek, weekday),
+        theme,
+        tasks: [...targetTasks, ...carried],
+        expectedVersion: target ? target.version : null,
+        requireVersion: false,
+        source: 'rollover'
+      });
+
+      await writeVersionedCard(txQuery, {
+        table: TABLE,
+        user,
+        cardId: card.card_id,
+        theme,
+        tasks: tasks.map(task => (pending.includes(task) ? { ...task, rolled_over_to: nextWeek } : task)),
+        expectedVersion: card.version,
+        source: 'rollover'
+      });
+
+      days.push({ weekday, tasks: carried.length });
+    }
+
+    return {
+      from: isoWeek,
+      to: nextWeek,
+      rolled_over: days.reduce((total, day) => total + day.tasks, 0),
+      days
+    };
+  });
+};
+
+module.exports = {
+  MAX_RANGE_WEEKS,
+  listWeeks,
+  resolveDayCardId,
+  forLegacyBuilds,
+  saveDay,
+  rolloverWeek
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { importCalendar } = require('../services/calendarImportService');
+
+const user = { id: 1, name: 'Sam', email: 'sam@example.com' };
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(([uid, ...lines]) => ['BEGIN:VEVENT', `UID:${uid}`, `SUMMARY:${uid}`, ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const invalidEvents = [
+  ['bad-month', 'DTSTART;VALUE=DATE:20261340'],
+  ['feb-30', 'DTSTART;VALUE=DATE:20260230'],
+  ['bad-hour', 'DTSTART:20261020T250000Z'],
+  ['no-start'],
+  ['bad-end', 'DTSTART:20261020T090000Z', 'DTEND:20261020T096000Z'],
+  ['bad-exdate', 'DTSTART:20261020T090000Z', 'RRULE:FREQ=DAILY', 'EXDATE:20261032T090000Z'],
+  ['bad-recurrence-id', 'DTSTART:20261020T090000Z', 'RECURRENCE-ID:20261299T090000Z'],
+  ['bad-rrule', 'DTSTART:20261020T090000Z', 'RRULE:FREQ=HOURLY']
+];
+
+const options = { theme: 'animal', timezone: 'Europe/London' };
+
+test.beforeEach(() => {
+  database.reset();
+});
+
+test('events with invalid dates are skipped with the reason', async () => {
+  const result = await importCalendar(user, calendar(...invalidEvents), { ...options, dryRun: true });
+
+  assert.deepEqual(result.imported, []);
+  assert.deepEqual(result.skipped.map(item => [item.uid, item.reason]), [
+    ['bad-month', 'Missing or invalid DTSTART'],
+    ['feb-30', 'Missing or invalid DTSTART'],
+    ['bad-hour', 'Missing or invalid DTSTART'],
+    ['no-start', 'Missing or invalid DTSTART'],
+    ['bad-end', 'Invalid DTEND'],
+    ['bad-exdate', 'Invalid EXDATE'],
+    ['bad-recurrence-id', 'Invalid RECURRENCE-ID'],
+    ['bad-rrule', 'Unsupported recurrence: FREQ must be one of DAILY, WEEKLY, MONTHLY, YEARLY']
+  ]);
+});
+
+test('valid events next to invalid ones are still imported, in the user\'s time zone', async () => {
+  const result = await importCalendar(user, calendar(
+    ['summer', 'DTSTART:20261020T090000Z', 'DTEND:20261020T100000Z'],
+    ['new-york', 'DTSTART;TZID=America/New_York:20261105T083000', 'DURATION:PT45M'],
+    ...invalidEvents
+  ), { ...options, dryRun: true });
+
+  assert.deepEqual(result.imported.map(item => [item.uid, item.task_date, item.start_time, item.duration_minutes]), [
+    ['summer', '2026-10-20', '10:00:00', 60],
+    ['new-york', '2026-11-05', '13:30:00', 45]
+  ]);
+  assert.equal(result.skipped.length, invalidEvents.length);
+});
+
+test('a file of invalid events writes nothing', async () => {
+  const result = await importCalendar(user, calendar(...invalidEvents), options);
+
+  assert.deepEqual(result.imported, []);
+  assert.equal(database.calls.filter(call => /^\s*(INSERT|UPDATE)/.test(call.sql)).length, 0);
+});
+
+test('a file that is not a calendar is an error', async () => {
+  const result = await importCalendar(user, 'not a calendar', { ...options, dryRun: true });
+
+  assert.ok(result.error);
+});
@@ -0,0 +1,32 @@
+// Stands in for config/database.js so services load without a MySQL server.
+// Require this before any service. Tests answer queries by setting `respond`,
+// which gets (sql, params) and returns the rows or result; every query is kept in `calls`.
+const path = require('path');
+
+const database = {
+  calls: [],
+  respond: () => [],
+  reset() {
+    database.calls = [];
+    database.respond = () => [];
+  }
+};
+
+const query = async (sql, params = []) => {
+  database.calls.push({ sql, params });
+  return database.respond(sql, params);
+};
+
+const databasePath = path.resolve(__dirname, '../../config/database.js');
+require.cache[databasePath] = {
+  id: databasePath,
+  filename: databasePath,
+  loaded: true,
+  exports: {
+    query,
+    transaction: (work) => work(query),
+    testConnection: async () => {}
+  }
+};
+
+module.exports = database;
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseIsoWeek,
+  isoWeekOf,
+  weekdayDate,
+  addWeeks,
+  weeksBetween,
+  dayCardId,
+  parseDayCardId,
+  parseWeekdayName
+} = require('../services/isoWeekService');
+
+test('isoWeekOf puts dates around new year in the week of their Thursday', () => {
+  assert.equal(isoWeekOf('2020-12-31'), '2020-W53');
+  assert.equal(isoWeekOf('2021-01-03'), '2020-W53');
+  assert.equal(isoWeekOf('2021-01-04'), '2021-W01');
+  assert.equal(isoWeekOf('2024-12-30'), '2025-W01');
+  assert.equal(isoWeekOf('2026-12-31'), '2026-W53');
+  assert.equal(isoWeekOf('2027-01-03'), '2026-W53');
+});
+
+test('isoWeekOf reads Date objects in local time', () => {
+  assert.equal(isoWeekOf(new Date(2021, 0, 3, 23, 30)), '2020-W53');
+  assert.equal(isoWeekOf(new Date(2021, 0, 4, 0, 30)), '2021-W01');
+});
+
+test('parseIsoWeek only accepts week 53 in long years', () => {
+  assert.deepEqual(parseIsoWeek('2020-W53'), { year: 2020, week: 53 });
+  assert.deepEqual(parseIsoWeek('2026-W53'), { year: 2026, week: 53 });
+  assert.equal(parseIsoWeek('2021-W53'), null);
+  assert.equal(parseIsoWeek('2026-W00'), null);
+  assert.equal(parseIsoWeek('2026-W5'), null);
+  assert.equal(parseIsoWeek(undefined), null);
+});
+
+test('weekdayDate gives the date of a day in a week', () => {
+  assert.equal(weekdayDate('2026-W01'), '2025-12-29');
+  assert.equal(weekdayDate('2020-W53', 5), '2021-01-01');
+  assert.equal(weekdayDate('2026-W43', 7), '2026-10-25');
+});
+
+test('addWeeks and weeksBetween cross years with 53 weeks', () => {
+  assert.equal(addWeeks('2020-W52'), '2020-W53');
+  assert.equal(addWeeks('2020-W53'), '2021-W01');
+  assert.equal(addWeeks('2021-W01', -1), '2020-W53');
+  assert.equal(addWeeks('2026-W43', 60), '2027-W50');
+  assert.equal(weeksBetween('2020-W50', '2021-W02'), 5);
+  assert.equal(weeksBetween('2021-W02', '2020-W50'), -5);
+});
+
+test('every date maps into the week whose days include it', () => {
+  for (let time = Date.UTC(2019, 11, 1); time < Date.UTC(2028, 1, 1); time += 24 * 60 * 60 * 1000) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const weekday = ((new Date(time).getUTCDay() + 6) % 7) + 1;
+    assert.equal(weekdayDate(isoWeekOf(date), weekday), date);
+  }
+});
+
+test('day card ids round-trip and reject days outside the week', () => {
+  assert.equal(dayCardId('2026-W43', 1), '2026-W43-1');
+  assert.deepEqual(parseDayCardId('2026-W43-7'), { iso_week: '2026-W43', weekday: 7 });
+  assert.equal(parseDayCardId('2026-W43-8'), null);
+  assert.equal(parseDayCardId('2021-W53-1'), null);
+  assert.equal(parseDayCardId('Monday'), null);
+});
+
+test('parseWeekdayName reads the names older builds use', () => {
+  assert.equal(parseWeekdayName('Monday'), 1);
+  assert.equal(parseWeekdayName(' sun '), 7);
+  assert.equal(parseWeekdayName('funday'), null);
+  assert.equal(parseWeekdayName('constructor'), null);
+  assert.equal(parseWeekdayName(null), null);
+});
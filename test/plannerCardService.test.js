@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('./helpers/database');
+const { query } = require('../config/database');
+const { getExpectedVersion, mergeTasks, writeVersionedCard } = require('../services/plannerCardService');
+
+const user = { id: 7, name: 'Sam', email: 'sam@example.com' };
+
+// A card as stored, found by the SELECT ... FOR UPDATE; null for no card
+const withCard = (card) => {
+  database.reset();
+  database.respond = (sql) => {
+    if (sql.includes('FOR UPDATE')) {
+      return card ? [card] : [];
+    }
+    return sql.startsWith('INSERT') ? { insertId: 42 } : [];
+  };
+};
+
+const storedCard = (version, tasks) => ({ id: 5, user_id: user.id, card_id: 'Travel', theme: 'post_it', version, tasks: JSON.stringify(tasks) });
+
+const save = (options) => writeVersionedCard(query, {
+  table: 'vision_board_tasks',
+  user,
+  cardId: 'Travel',
+  theme: 'post_it',
+  ...options
+});
+
+const updates = () => database.calls.filter(call => call.sql.startsWith('UPDATE vision_board_tasks'));
+
+test('getExpectedVersion reads If-Match before the body', () => {
+  assert.equal(getExpectedVersion({ headers: { 'if-match': '"3"' }, body: { version: 9 } }), 3);
+  assert.equal(getExpectedVersion({ headers: { 'if-match': 'W/"4"' }, body: {} }), 4);
+  assert.equal(getExpectedVersion({ headers: {}, body: { version: 2 } }), 2);
+  assert.equal(getExpectedVersion({ headers: {}, body: {} }), null);
+  assert.ok(Number.isNaN(getExpectedVersion({ headers: { 'if-match': '"abc"' }, body: {} })));
+});
+
+test('a card that does not exist yet is created at version 1', async () => {
+  withCard(null);
+  const tasks = [{ id: 'a', text: 'Surf', completed: false }];
+  const result = await save({ tasks, expectedVersion: null });
+
+  assert.deepEqual(result, { status: 'created', id: 42, version: 1, tasks });
+  assert.ok(database.calls.some(call => call.sql.startsWith('INSERT INTO vision_board_tasks')));
+});
+
+test('a save with the current version updates the card and bumps the version', async () => {
+  withCard(storedCard(3, [{ id: 'a', text: 'Surf', completed: false }]));
+  const result = await save({ tasks: [{ id: 'a', text: 'Surf', completed: true }], expectedVersion: 3 });
+
+  assert.equal(result.status, 'updated');
+  assert.equal(result.version, 4);
+  assert.equal(updates().length, 1);
+});
+
+test('a save without a version is refused when versions are required (428)', async () => {
+  withCard(storedCard(3, []));
+  const result = await save({ tasks: [], expectedVersion: null });
+
+  assert.equal(result.status, 'version_required');
+  assert.equal(result.version, 3);
+  assert.equal(updates().length, 0);
+});
+
+test('a save without a version overwrites when versions are optional', async () => {
+  withCard(storedCard(3, []));
+  const result = await save({ tasks: [], expectedVersion: null, requireVersion: false });
+
+  assert.equal(result.status, 'updated');
+  assert.equal(result.version, 4);
+});
+
+test('a save with a stale version is a conflict (409) and leaves the card alone', async () => {
+  const card = storedCard(5, [{ id: 'a', text: 'Surf', completed: false }]);
+  withCard(card);
+  const result = await save({ tasks: [], expectedVersion: 4 });
+
+  assert.equal(result.status, 'conflict');
+  assert.equal(result.version, 5);
+  assert.equal(result.current, card);
+  assert.equal(updates().length, 0);
+});
+
+test('a stale save with merge keeps both sides', async () => {
+  withCard(storedCard(5, [
+    { id: 'a', text: 'Surf', completed: true },
+    { id: 'b', text: 'Ski', completed: false }
+  ]));
+  const result = await save({
+    tasks: [{ id: 'a', text: 'Surf in Bali', completed: false }, { id: 'c', text: 'Dive', completed: false }],
+    expectedVersion: 4,
+    merge: true
+  });
+
+  assert.equal(result.status, 'merged');
+  assert.equal(result.version, 6);
+  assert.deepEqual(result.tasks, [
+    { id: 'a', text: 'Surf in Bali', completed: true },
+    { id: 'b', text: 'Ski', completed: false },
+    { id: 'c', text: 'Dive', completed: false }
+  ]);
+  assert.deepEqual(JSON.parse(updates()[0].params[0]), result.tasks);
+});
+
+test('mergeTasks keeps server order and ignores client tasks without an id', () => {
+  const merged = mergeTasks(
+    [{ id: 'b', text: 'Ski', completed: false }, { id: 'a', text: 'Surf', completed: false }],
+    [{ text: 'No id' }, { id: 'a', text: 'Surf', completed: true }, { id: 'b', text: 'Skiing', completed: false }]
+  );
+
+  assert.deepEqual(merged, [
+    { id: 'b', text: 'Skiing', completed: false },
+    { id: 'a', text: 'Surf', completed: true }
+  ]);
+});
+
+test('other tables are refused', async () => {
+  await assert.rejects(
+    writeVersionedCard(async () => [], { table: 'user', user, cardId: 'x', theme: 'post_it', tasks: [], expectedVersion: null }),
+    /Unsupported card table: user/
+  );
+});
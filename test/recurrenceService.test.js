@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRRule,
+  validateRRule,
+  expandOccurrences,
+  isOccurrence,
+  countOccurrencesBefore
+} = require('../services/recurrenceService');
+
+const expand = (start, rrule, options) => expandOccurrences(start, parseRRule(rrule), options);
+
+test('parseRRule reads the supported parts', () => {
+  assert.deepEqual(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,MO,MO;COUNT=5'), {
+    freq: 'WEEKLY',
+    interval: 2,
+    byday: [1, 4],
+    count: 5,
+    until: null
+  });
+  assert.equal(parseRRule('FREQ=DAILY;UNTIL=20261231T235959Z').until, '2026-12-31');
+});
+
+test('validateRRule rejects rules outside the supported subset', () => {
+  assert.equal(validateRRule('FREQ=MONTHLY;INTERVAL=3'), null);
+
+  for (const rrule of [
+    '',
+    'INTERVAL=2',
+    'FREQ=HOURLY',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=DAILY;BYDAY=MO',
+    'FREQ=DAILY;COUNT=2;UNTIL=20260101',
+    'FREQ=DAILY;UNTIL=20260230',
+    'FREQ=DAILY;BYMONTH=1'
+  ]) {
+    assert.match(validateRRule(rrule), /^Invalid rrule: /, rrule);
+  }
+});
+
+test('weekly rules follow INTERVAL, BYDAY and COUNT', () => {
+  assert.deepEqual(
+    expand('2026-03-02', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5', { from: '2026-01-01', to: '2026-12-31' }),
+    ['2026-03-02', '2026-03-05', '2026-03-16', '2026-03-19', '2026-03-30']
+  );
+});
+
+test('monthly and yearly rules skip months without the start day', () => {
+  assert.deepEqual(
+    expand('2026-01-31', 'FREQ=MONTHLY', { from: '2026-01-01', to: '2026-06-30' }),
+    ['2026-01-31', '2026-03-31', '2026-05-31']
+  );
+  assert.deepEqual(
+    expand('2024-02-29', 'FREQ=YEARLY', { from: '2024-01-01', to: '2032-12-31' }),
+    ['2024-02-29', '2028-02-29', '2032-02-29']
+  );
+});
+
+test('UNTIL is inclusive and exdates are left out', () => {
+  assert.deepEqual(
+    expand('2026-03-02', 'FREQ=DAILY;UNTIL=20260305', { from: '2026-03-01', to: '2026-03-31', exdates: ['2026-03-03'] }),
+    ['2026-03-02', '2026-03-04', '2026-03-05']
+  );
+});
+
+test('COUNT includes occurrences before the range and removed ones', () => {
+  const rrule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=5';
+
+  assert.deepEqual(expand('2026-03-02', rrule, { from: '2026-03-20', to: '2026-12-31' }), ['2026-03-30']);
+  assert.deepEqual(
+    expand('2026-03-02', 'FREQ=DAILY;COUNT=3', { from: '2026-03-01', to: '2026-03-31', exdates: ['2026-03-02'] }),
+    ['2026-03-03', '2026-03-04']
+  );
+  assert.equal(countOccurrencesBefore('2026-03-02', parseRRule(rrule), '2026-03-20'), 4);
+  assert.equal(countOccurrencesBefore('2026-03-02', parseRRule(rrule), '2027-01-01'), 5);
+});
+
+test('ranges far from the start end at year 9999', () => {
+  assert.deepEqual(
+    expand('2026-01-01', 'FREQ=DAILY', { from: '9999-12-30', to: '9999-12-31' }),
+    ['9999-12-30', '9999-12-31']
+  );
+  assert.deepEqual(expand('2000-01-01', 'FREQ=DAILY;COUNT=3', { from: '9999-12-30', to: '9999-12-31' }), []);
+});
+
+test('isOccurrence matches expansion', () => {
+  const rule = parseRRule('FREQ=MONTHLY');
+
+  assert.equal(isOccurrence('2026-01-31', rule, '2026-03-31'), true);
+  assert.equal(isOccurrence('2026-01-31', rule, '2026-02-28'), false);
+  assert.equal(isOccurrence('2026-01-31', rule, '2026-03-31', ['2026-03-31']), false);
+});
+
+test('expanding from the middle of a series matches expanding from its start', () => {
+  const cases = [
+    ['2026-01-29', 'FREQ=DAILY;INTERVAL=3;COUNT=40'],
+    ['2026-01-29', 'FREQ=WEEKLY;INTERVAL=3;BYDAY=SU,WE,SA;COUNT=25'],
+    ['2026-01-29', 'FREQ=MONTHLY;INTERVAL=5;COUNT=12'],
+    ['2024-02-29', 'FREQ=YEARLY;UNTIL=20400301'],
+    ['2026-08-31', 'FREQ=MONTHLY;INTERVAL=7']
+  ];
+
+  for (const [start, rrule] of cases) {
+    const all = expand(start, rrule, { from: start, to: '2045-12-31' });
+
+    for (const from of ['2026-02-14', '2027-06-30', '2031-12-31', '2039-03-01']) {
+      const to = '2045-12-31';
+      assert.deepEqual(
+        expand(start, rrule, { from, to }),
+        all.filter(date => date >= from),
+        `${rrule} from ${from}`
+      );
+      assert.equal(
+        countOccurrencesBefore(start, parseRRule(rrule), from),
+        all.filter(date => date < from).length,
+        `${rrule} before ${from}`
+      );
+    }
+  }
+});
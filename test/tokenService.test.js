@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const database = require('./helpers/database');
+const { hashToken, issueSession, rotateRefreshToken, revokeSession } = require('../services/tokenService');
+
+const user = { id: 1, name: 'Sam', email: 'sam@example.com' };
+
+// refresh_tokens kept in memory, answering the queries tokenService makes
+let tokens;
+
+test.beforeEach(() => {
+  tokens = [];
+  database.reset();
+  database.respond = (sql, params) => {
+    if (sql.startsWith('INSERT INTO refresh_tokens')) {
+      const [user_id, token_hash, family_id, user_agent, expires_at] = params;
+      tokens.push({ id: tokens.length + 1, user_id, token_hash, family_id, user_agent, expires_at, revoked_at: null, replaced_by: null });
+      return { insertId: tokens.length };
+    }
+    if (sql.startsWith('SELECT * FROM refresh_tokens') || sql.startsWith('SELECT family_id FROM refresh_tokens')) {
+      return tokens.filter(token => token.token_hash === params[0]).map(token => ({ ...token }));
+    }
+    if (sql.startsWith('SELECT id, name, email FROM user')) {
+      return params[0] === user.id ? [user] : [];
+    }
+    if (sql.includes('replaced_by = ?')) {
+      const token = tokens.find(row => row.id === params[1] && !row.revoked_at);
+      if (token) {
+        Object.assign(token, { revoked_at: new Date(), replaced_by: params[0] });
+      }
+      return { affectedRows: token ? 1 : 0 };
+    }
+    if (sql.includes('WHERE family_id = ?')) {
+      const family = tokens.filter(token => token.family_id === params[0] && !token.revoked_at);
+      family.forEach(token => { token.revoked_at = new Date(); });
+      return { affectedRows: family.length };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+});
+
+const live = () => tokens.filter(token => !token.revoked_at);
+
+test('issueSession stores only the hash of the refresh token', async () => {
+  const session = await issueSession(user.id, user.email, 'ReconstructApp/2.3');
+
+  assert.equal(jwt.decode(session.token).id, user.id);
+  assert.equal(tokens.length, 1);
+  assert.equal(tokens[0].token_hash, hashToken(session.refreshToken));
+  assert.notEqual(tokens[0].token_hash, session.refreshToken);
+  assert.equal(tokens[0].user_agent, 'ReconstructApp/2.3');
+});
+
+test('long user agents are cut to the column size', async () => {
+  await issueSession(user.id, user.email, 'x'.repeat(300));
+  await issueSession(user.id, user.email, undefined);
+
+  assert.equal(tokens[0].user_agent.length, 255);
+  assert.equal(tokens[1].user_agent, null);
+});
+
+test('rotation revokes the presented token and keeps the session family', async () => {
+  const session = await issueSession(user.id, user.email);
+  const rotated = await rotateRefreshToken(session.refreshToken);
+
+  assert.equal(rotated.user, user);
+  assert.notEqual(rotated.refreshToken, session.refreshToken);
+  assert.equal(tokens[0].replaced_by, hashToken(rotated.refreshToken));
+  assert.deepEqual(live().map(token => token.token_hash), [hashToken(rotated.refreshToken)]);
+  assert.equal(tokens[1].family_id, tokens[0].family_id);
+});
+
+test('reusing a rotated token revokes the whole session', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const session = await issueSession(user.id, user.email);
+  const other = await issueSession(user.id, user.email);
+  const rotated = await rotateRefreshToken(session.refreshToken);
+
+  assert.equal(await rotateRefreshToken(session.refreshToken), null);
+  assert.equal(await rotateRefreshToken(rotated.refreshToken), null);
+  assert.deepEqual(live().map(token => token.token_hash), [hashToken(other.refreshToken)]);
+});
+
+test('two concurrent rotations of one token end the session', async () => {
+  const session = await issueSession(user.id, user.email);
+  const results = await Promise.all([
+    rotateRefreshToken(session.refreshToken),
+    rotateRefreshToken(session.refreshToken)
+  ]);
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.deepEqual(live(), []);
+});
+
+test('unknown, expired and logged out tokens are refused', async () => {
+  assert.equal(await rotateRefreshToken('not-a-token'), null);
+
+  const expired = await issueSession(user.id, user.email);
+  tokens[0].expires_at = new Date(Date.now() - 1000);
+  assert.equal(await rotateRefreshToken(expired.refreshToken), null);
+
+  const session = await issueSession(user.id, user.email);
+  assert.equal(await revokeSession(session.refreshToken), true);
+  assert.equal(await rotateRefreshToken(session.refreshToken), null);
+  assert.equal(await revokeSession('not-a-token'), false);
+});